@@ -1,9 +1,8 @@
 #!/usr/bin/env node
 
-import { program } from 'commander';
-import { compareFiles } from './index.js';
+import { program, Option } from 'commander';
+import { compareFiles, resolveFileSpec, parseEnvAssignments, getExitCode, lintFiles, printLintReport } from './index.js';
 import { readFileSync } from 'node:fs';
-import path from 'node:path';
 
 // Get version from package.json
 let version = '1.0.0';
@@ -20,41 +19,107 @@ try {
 if (process.argv.length <= 2) {
   console.log(`properties-comparator v${version}`);
   console.log('Usage: properties-comparator [options] <file1> <file2> [file3...]');
+  console.log('       properties-comparator lint [options] <files...>');
   process.exit(0);
 }
 
 program
   .version(version)
   .description('Compare properties between multiple files')
-  .option('-f, --format <format>', 'Output format: console, html, or markdown (default: console)')
+  // Options after "lint" belong to the subcommand, even where the names match
+  .enablePositionalOptions()
+  .option('-f, --format <format>', 'Output format: console, html, markdown, or json (default: console)')
   .option('-o, --output <path>', 'Output file path for results')
+  .option('-n, --normalize <steps>', 'Value normalization before comparing: exact, trim, collapse, ignore-case, nfc (comma-separated, default: trim)')
+  .option('--typed', 'Compare booleans, numbers and null by type (e.g. TRUE equals true, 1.0 equals 1)')
+  .option('--lists <mode>', 'Compare lists by index (e.g. servers[0].host) or as order-insensitive sets: index or set (default: index)')
+  .option('-p, --profile <profiles>', 'Active Spring profile(s) used to merge multi-document YAML files (comma-separated)')
+  .option('--yaml-documents <mode>', 'Multi-document YAML handling: merge or split (default: merge)')
+  .option('--resolve-placeholders', 'Resolve ${...} placeholders within each file before comparing')
+  .option('--relaxed-binding', 'Match keys like Spring relaxed binding, e.g. DB_HOST in a .env file to db.host')
+  .option('--env <assignment>', 'KEY=VALUE used when resolving placeholders (repeatable)', (value, previous) => [...previous, value], [])
+  .option('--baseline <file>', 'Compare every file against this baseline (golden) file: added, removed and changed keys per file')
+  .option('--include <pattern>', 'Only compare keys matching a glob (db.**, *.url) or /regex/ (repeatable)', (value, previous) => [...previous, value], [])
+  .option('--exclude <pattern>', 'Ignore keys matching a glob (app.version, **.password) or /regex/ (repeatable)', (value, previous) => [...previous, value], [])
+  .option('--allowlist <file>', 'YAML/JSON file of known differences (key patterns, files, expected values, reason, expiry)')
+  .option('--sensitive-keys <patterns>', 'Key patterns whose values are masked in reports (comma-separated, default: password,secret,token,key)')
+  .option('--show-secrets', 'Show the values of sensitive keys instead of masking them')
+  .option('--no-diff', 'Show long mismatched values in full instead of as a character-level diff')
+  .option('--stdin-format <format>', 'Format of standard input, given as the file "-": properties, yaml, json or dotenv (default: detected)')
+  .option('--name-map <pattern=name>', 'Pair differently named files when comparing directories, e.g. "application-*.yml=application.yml" (repeatable)', (value, previous) => [...previous, value], [])
+  .addOption(new Option('--fail-on <mode>', 'Mismatches that fail the run (exit code 1)').choices(['any', 'missing', 'value']).default('any'))
   .option('-v, --verbose', 'Show verbose output')
   .arguments('<files...>')
   .usage('[options] <file1> <file2> [file3...]')
+  .addHelpText('after', '\nEach file may be a stack of layered files, e.g. base.yml+prod.yml (later layers win).\n' +
+    'Pass directories instead of files to compare every config file they contain.\n' +
+    'Any file may be a git revision spec, e.g. main:config/app.yml or HEAD~3:config/app.yml, or - for standard input.\n' +
+    'Files with other extensions are detected from their content; yaml:file, json:file or properties:file names the format.\n' +
+    'Dotenv files (.env, .env.*, *.env) are read as KEY=value; --relaxed-binding matches DB_HOST to db.host.\n' +
+    'Exit codes: 0 = identical, 1 = mismatches, 2 = usage or parse errors.')
+  // Usage errors exit with 2, like parse errors
+  .exitOverride((err) => process.exit(err.exitCode === 0 ? 0 : 2))
   .action((files, options) => {
-    if (files.length < 2) {
+    if (files.length < (options.baseline ? 1 : 2)) {
       console.error('Error: At least two files are required for comparison');
-      program.help();
-      process.exit(1);
+      program.help({ error: true });
     }
 
     try {
-      // Resolve all file paths
-      const resolvedPaths = files.map(file => path.resolve(file));
+      // Resolve all file paths (including each layer of a base.yml+prod.yml stack)
+      const resolvedPaths = files.map(file => resolveFileSpec(file));
 
       // Prepare options for compareFiles
       const comparisonOptions = {
         format: options.format || 'console',
         outputFile: options.output,
+        normalize: options.normalize,
+        typed: options.typed,
+        lists: options.lists,
+        profile: options.profile,
+        yamlDocuments: options.yamlDocuments,
+        resolvePlaceholders: options.resolvePlaceholders,
+        env: parseEnvAssignments(options.env),
+        relaxedBinding: options.relaxedBinding,
+        baseline: options.baseline && resolveFileSpec(options.baseline),
+        include: options.include,
+        exclude: options.exclude,
+        allowlist: options.allowlist,
+        sensitiveKeys: options.sensitiveKeys,
+        showSecrets: options.showSecrets,
+        diff: options.diff,
+        nameMap: options.nameMap,
+        stdinFormat: options.stdinFormat,
         verbose: options.verbose // Pass verbose option to compareFiles
       };
 
-      // Run the comparison
-      compareFiles(resolvedPaths, comparisonOptions);
+      // Run the comparison and fail the run according to --fail-on
+      const comparisonData = compareFiles(resolvedPaths, comparisonOptions);
+      process.exitCode = getExitCode(comparisonData, options.failOn);
 
     } catch (error) {
       console.error('Error:', error.message);
-      process.exit(1);
+      process.exit(2);
+    }
+  });
+
+program
+  .command('lint')
+  .description('Flag likely plaintext secrets: private keys, known token formats, literal passwords, high-entropy strings')
+  .option('--sensitive-keys <patterns>', 'Keys whose literal values are flagged (comma-separated, default: password,secret,token,key)')
+  .option('--stdin-format <format>', 'Format of standard input, given as the file "-": properties, yaml, json or dotenv (default: detected)')
+  .arguments('<files...>')
+  .addHelpText('after', '\nValues that are ${...} placeholders or ENC(...) are not flagged.\n' +
+    'Exit codes: 0 = no findings, 1 = findings, 2 = usage or parse errors.')
+  .exitOverride((err) => process.exit(err.exitCode === 0 ? 0 : 2))
+  .action((files, options) => {
+    try {
+      const lintData = lintFiles(files, { sensitiveKeys: options.sensitiveKeys, stdinFormat: options.stdinFormat });
+      printLintReport(lintData);
+      process.exitCode = getExitCode(lintData);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(2);
     }
   });
 
@@ -1,72 +1,479 @@
 #!/usr/bin/env node
 
 import chalk from "chalk";
+import { execFileSync } from "node:child_process";
+import crypto from "node:crypto";
 import fs from "node:fs";
 import path from "node:path";
 import yaml from "js-yaml";
+import JSON5 from "json5";
 
 /**
- * Parses a .properties file into an object.
- * Handles any file read/parse errors gracefully.
- * @param {string} filePath - The path to the properties file.
- * @returns {Object} - Key-value pairs, or {} on error.
+ * Whitespace characters recognised by java.util.Properties (space, tab, form feed).
  */
-function parsePropertiesFile(filePath) {
-  try {
-    const content = fs.readFileSync(filePath, "utf-8");
-    const lines = content.split(/\r?\n/);
-    const result = {};
+const PROPERTIES_WHITESPACE = new Set([" ", "\t", "\f"]);
 
-    for (let line of lines) {
-      let trimmedLine = line.trim();
+/**
+ * Checks whether a character is .properties whitespace.
+ * @param {string} char - A single character.
+ * @returns {boolean} - True for space, tab or form feed.
+ */
+function isPropertiesWhitespace(char) {
+  return PROPERTIES_WHITESPACE.has(char);
+}
 
-      // 1) Skip empty lines or lines that *start* with '#'
-      if (!trimmedLine || trimmedLine.startsWith("#")) {
-        continue;
-      }
+/**
+ * Splits .properties content into logical lines, following the
+ * java.util.Properties.load rules:
+ * - natural lines end with \n, \r or \r\n;
+ * - leading whitespace of every natural line is ignored;
+ * - blank lines and lines starting with '#' or '!' are comments;
+ * - a line ending with an odd number of backslashes continues on the next line.
+ * @param {string} content - Raw file content.
+ * @returns {{ text: string, line: number, column: number, raw: string }[]} -
+ *   Logical lines with continuations joined, plus the 1-based line and column
+ *   where each one starts and its original (unjoined) text.
+ */
+function readLogicalLines(content) {
+  const logicalLines = [];
+  let pending = null;
 
-      // 2) Remove inline comment: anything after the first '#'
-      const hashIndex = trimmedLine.indexOf("#");
-      if (hashIndex !== -1) {
-        trimmedLine = trimmedLine.slice(0, hashIndex).trim();
-      }
+  content.split(/\r\n|\r|\n/).forEach((naturalLine, index) => {
+    let start = 0;
+    while (start < naturalLine.length && isPropertiesWhitespace(naturalLine[start])) {
+      start++;
+    }
+    const text = naturalLine.slice(start);
 
-      // 3) Split on the *first* '=' only
-      const eqIndex = trimmedLine.indexOf("=");
-      if (eqIndex === -1) {
-        // No '=' => Not a valid key-value line
-        continue;
+    // Comments and blank lines only count at the start of a logical line
+    if (pending === null && (!text || text[0] === "#" || text[0] === "!")) {
+      return;
+    }
+
+    if (pending === null) {
+      pending = { text: "", line: index + 1, column: start + 1, raw: [] };
+    }
+    pending.raw.push(naturalLine);
+
+    let trailingBackslashes = 0;
+    while (
+      trailingBackslashes < text.length &&
+      text[text.length - 1 - trailingBackslashes] === "\\"
+    ) {
+      trailingBackslashes++;
+    }
+
+    if (trailingBackslashes % 2 === 1) {
+      pending.text += text.slice(0, -1);
+      return;
+    }
+
+    pending.text += text;
+    logicalLines.push({ ...pending, raw: pending.raw.join("\n") });
+    pending = null;
+  });
+
+  // A continuation on the last line ends the file; its text so far is kept, as Java does
+  if (pending !== null) {
+    logicalLines.push({ ...pending, raw: pending.raw.join("\n") });
+  }
+
+  return logicalLines;
+}
+
+/**
+ * Resolves .properties escape sequences: \uXXXX, \t, \n, \r, \f,
+ * and a backslash before any other character (which yields that character).
+ * @param {string} text - Escaped key or value text.
+ * @returns {string} - The unescaped text.
+ * @throws {Error} - On a malformed \uXXXX sequence.
+ */
+function unescapeProperties(text) {
+  let result = "";
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i++];
+    if (char !== "\\") {
+      result += char;
+      continue;
+    }
+
+    const escaped = text[i++];
+    if (escaped === "u") {
+      const hex = text.slice(i, i + 4);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+        throw new Error("Malformed \\uxxxx encoding.");
       }
+      result += String.fromCharCode(Number.parseInt(hex, 16));
+      i += 4;
+    } else if (escaped === "t") {
+      result += "\t";
+    } else if (escaped === "n") {
+      result += "\n";
+    } else if (escaped === "r") {
+      result += "\r";
+    } else if (escaped === "f") {
+      result += "\f";
+    } else if (escaped !== undefined) {
+      result += escaped;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Splits a logical line into its key and value. The key ends at the first
+ * unescaped '=', ':' or whitespace; whitespace around the separator is skipped
+ * and at most one '=' or ':' is consumed. Trailing whitespace in the value is kept.
+ * @param {string} line - A logical line (leading whitespace already removed).
+ * @returns {{ key: string, value: string }} - The unescaped key and value.
+ */
+function splitPropertiesLine(line) {
+  let keyEnd = 0;
+  let valueStart = line.length;
+  let hasSeparator = false;
+  let precedingBackslash = false;
 
-      const key = trimmedLine.slice(0, eqIndex).trim();
-      const value = trimmedLine.slice(eqIndex + 1).trim();
+  while (keyEnd < line.length) {
+    const char = line[keyEnd];
+    if (!precedingBackslash && (char === "=" || char === ":")) {
+      valueStart = keyEnd + 1;
+      hasSeparator = true;
+      break;
+    }
+    if (!precedingBackslash && isPropertiesWhitespace(char)) {
+      valueStart = keyEnd + 1;
+      break;
+    }
+    precedingBackslash = char === "\\" ? !precedingBackslash : false;
+    keyEnd++;
+  }
 
-      if (key) {
-        result[key] = value;
+  while (valueStart < line.length) {
+    const char = line[valueStart];
+    if (!isPropertiesWhitespace(char)) {
+      if (hasSeparator || (char !== "=" && char !== ":")) {
+        break;
       }
+      hasSeparator = true;
     }
+    valueStart++;
+  }
 
-    return result;
+  return {
+    key: unescapeProperties(line.slice(0, keyEnd)),
+    value: unescapeProperties(line.slice(valueStart)),
+  };
+}
+
+/**
+ * The file argument that reads from standard input.
+ */
+const STDIN_PATH = "-";
+
+/**
+ * Standard input, read once on first use so every layer or column naming it sees the same content.
+ */
+let stdinContent = null;
+
+/**
+ * Config formats by file extension.
+ */
+const FILE_FORMATS = {
+  ".properties": "properties",
+  ".yml": "yaml",
+  ".yaml": "yaml",
+  ".json": "json",
+  ".json5": "json",
+  ".env": "dotenv",
+};
+
+/**
+ * Names of dotenv files without an `.env` extension: `.env`, `.env.local`, `.env.production`, ...
+ */
+const DOTENV_FILE_NAME = /^\.env(\.[^.]+)*$/;
+
+/**
+ * Looks up a format by name, with or without a leading dot.
+ * @param {string} format - The format name, e.g. `yaml`, `.yml`, `json5` or `env`.
+ * @returns {string|null} - The format, or null if the name is unknown.
+ */
+function findFormat(format) {
+  const name = String(format).toLowerCase().replace(/^\./, "");
+  return FILE_FORMATS[`.${name}`] ?? Object.values(FILE_FORMATS).find((known) => known === name) ?? null;
+}
+
+/**
+ * Resolves a format name, with or without a leading dot (`properties`, `yaml`, `.yml`, `json5`, `env`).
+ * @param {string} format - The format name.
+ * @returns {string} - "properties", "yaml", "json" or "dotenv".
+ * @throws {Error} - If the format is unknown.
+ */
+function resolveFormat(format) {
+  const resolved = findFormat(format);
+  if (!resolved) {
+    throw new Error(`Unknown format "${format}". Use one of: ${[...new Set(Object.values(FILE_FORMATS))].join(", ")}`);
+  }
+  return resolved;
+}
+
+/**
+ * A file argument with an explicit format, `<format>:<path>` (e.g. `yaml:config/app.conf`).
+ */
+const FORMAT_OVERRIDE = /^([A-Za-z0-9]+):(.+)$/;
+
+/**
+ * Splits the format override off a file argument. A file that exists on disk is
+ * never an override, nor is a prefix that is not a format name (such as a git revision).
+ * @param {string} filePath - A file argument, possibly `<format>:<path>`.
+ * @returns {{ format: string|null, path: string }} - The format ("properties", "yaml", "json"
+ *   or "dotenv") if one is given, and the file path, revision spec or STDIN_PATH without it.
+ */
+function splitFormatOverride(filePath) {
+  const match = FORMAT_OVERRIDE.exec(filePath);
+  const format = match && findFormat(match[1]);
+  if (!format || fs.existsSync(filePath)) {
+    return { format: null, path: filePath };
+  }
+  return { format, path: match[2] };
+}
+
+/**
+ * Guesses the format of config content: an object or array in JSON5 syntax makes it
+ * JSON, `export KEY=value` lines make it dotenv, `key=value` lines make it .properties,
+ * and content that YAML reads as mappings (nested keys, lists, `key: value` lines) makes
+ * it YAML. Blank and comment-only content counts as .properties.
+ * @param {string} content - The content.
+ * @returns {string|null} - "properties", "yaml", "json", "dotenv", or null if it looks like none.
+ */
+function detectFormat(content) {
+  if (/^\s*[[{]/.test(content)) {
+    try {
+      JSON5.parse(content);
+      return "json";
+    } catch {
+      // Not JSON; a YAML flow collection, perhaps
+    }
+  }
+  const lines = content
+    .split(/\r\n|\r|\n/)
+    .filter((line) => line.trim() !== "" && !/^\s*[#!]/.test(line));
+  if (lines.length === 0) {
+    return "properties";
+  }
+  if (lines.some((line) => /^\s*export\s+[A-Za-z_][A-Za-z0-9_.-]*\s*=/.test(line))) {
+    return "dotenv";
+  }
+  const propertiesLines = lines.filter((line) => /^[^\s:=]+\s*=/.test(line)).length;
+  const yamlLines = lines.filter((line) => /^\s*(- |-$|[^\s:=][^:=]*:(\s|$))/.test(line)).length;
+  if (propertiesLines > 0 && propertiesLines >= yamlLines) {
+    return "properties";
+  }
+  try {
+    const documents = yaml.loadAll(content);
+    if (documents.some(isPlainObject) && documents.every((doc) => doc === null || isPlainObject(doc))) {
+      return "yaml";
+    }
+  } catch {
+    // Not YAML
+  }
+  return propertiesLines > 0 ? "properties" : null;
+}
+
+/**
+ * Returns the format of a file argument: the `<format>:` override, `options.stdinFormat`
+ * for standard input, or the format of its extension (or dotenv for `.env` and `.env.*`
+ * files). Other files and standard input without a format are detected from their
+ * content (see detectFormat), which is returned as well so that it is read only once.
+ * A file that cannot be read for detection is logged and recorded in `options.parseErrors`,
+ * like a parse error, and has no format.
+ * @param {string} filePath - A file path, revision spec or STDIN_PATH, possibly with a
+ *   format override.
+ * @param {Object} [options] - Parser options (`stdinFormat`, `parseErrors`).
+ * @returns {{ format: string|null, content?: string }} - "properties", "yaml", "json" or
+ *   "dotenv" (null if the file could not be read), and the content if it was read.
+ * @throws {Error} - If the format is unknown or cannot be detected.
+ */
+function resolveFileFormat(filePath, options = {}) {
+  const { format, path: source } = splitFormatOverride(filePath);
+  if (format) {
+    return { format };
+  }
+  if (source === STDIN_PATH && options.stdinFormat) {
+    return { format: resolveFormat(options.stdinFormat) };
+  }
+  const name = source === STDIN_PATH ? "" : path.basename(getGitSpec(source)?.path ?? source);
+  const ext = path.extname(name).toLowerCase();
+  if (Object.hasOwn(FILE_FORMATS, ext)) {
+    return { format: FILE_FORMATS[ext] };
+  }
+  if (DOTENV_FILE_NAME.test(name)) {
+    return { format: "dotenv" };
+  }
+
+  let content;
+  try {
+    content = readFileContent(source);
+  } catch (err) {
+    console.error(`Error reading file (${filePath}):`, err.message);
+    options.parseErrors?.push({ file: filePath, message: err.message });
+    return { format: null };
+  }
+  const detected = detectFormat(content);
+  if (!detected) {
+    throw new Error(
+      source === STDIN_PATH
+        ? "Cannot detect the format of standard input; use --stdin-format properties, yaml, json or dotenv"
+        : `Cannot detect the format of "${source}"; name it, e.g. yaml:${source} or properties:${source}`
+    );
+  }
+  return { format: detected, content };
+}
+
+/**
+ * A git revision spec, `<revision>:<path>` (e.g. `HEAD~3:config/app.yml` or
+ * `release/1.2:config/app.yml`), naming a file as committed in the local repository.
+ */
+const GIT_SPEC = /^([^:]+):(.+)$/;
+
+/**
+ * Splits a git revision spec into its revision and path. A file that exists on disk
+ * and a Windows drive path (`C:\config\app.yml`) are never specs.
+ * @param {string} filePath - A file path or revision spec.
+ * @returns {{ revision: string, path: string } | null} - The parts, or null for a file path.
+ */
+function getGitSpec(filePath) {
+  const match = GIT_SPEC.exec(filePath);
+  if (!match || /^[A-Za-z]:[\\/]/.test(filePath) || fs.existsSync(filePath)) {
+    return null;
+  }
+  return { revision: match[1], path: match[2] };
+}
+
+/**
+ * Reads a file, standard input (STDIN_PATH), or the blob a git revision spec names
+ * from the repository of the current directory. As with `git show`, the path of a
+ * spec is relative to the repository root unless it starts with `./`.
+ * @param {string} filePath - A file path, revision spec (see getGitSpec) or STDIN_PATH,
+ *   possibly with a format override (see splitFormatOverride).
+ * @returns {string} - The content.
+ * @throws {Error} - If the file or blob cannot be read.
+ */
+function readFileContent(filePath) {
+  filePath = splitFormatOverride(filePath).path;
+  if (filePath === STDIN_PATH) {
+    stdinContent ??= fs.readFileSync(process.stdin.fd, "utf-8");
+    return stdinContent;
+  }
+  if (!getGitSpec(filePath)) {
+    return fs.readFileSync(filePath, "utf-8");
+  }
+  try {
+    // --end-of-options keeps a revision starting with "-" from being read as an option
+    return execFileSync("git", ["cat-file", "blob", "--end-of-options", filePath], {
+      encoding: "utf-8",
+      maxBuffer: 64 * 1024 * 1024,
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+  } catch (err) {
+    const reason = err.stderr?.toString().trim() || err.message;
+    throw new Error(`Cannot read "${filePath}" from git: ${reason.replace(/^fatal: /, "")}`);
+  }
+}
+
+/**
+ * Returns the label a file is shown with: its base name, followed by the revision
+ * for a git revision spec (`app.yml @ HEAD~3`), or "stdin" for standard input.
+ * @param {string} filePath - A file path, revision spec or STDIN_PATH.
+ * @returns {string} - The label.
+ */
+function getFileLabel(filePath) {
+  filePath = splitFormatOverride(filePath).path;
+  if (filePath === STDIN_PATH) {
+    return "stdin";
+  }
+  const spec = getGitSpec(filePath);
+  return spec ? `${path.posix.basename(spec.path)} @ ${spec.revision}` : path.basename(filePath);
+}
+
+/**
+ * Parses .properties content, following the java.util.Properties.load grammar
+ * ('=', ':' or whitespace separators, '#'/'!' comments, line continuations and
+ * escape sequences).
+ * @param {string} content - The content.
+ * @param {string} filePath - The file the content came from, for the locations.
+ * @returns {{ values: Object, locations: Object }} - Key-value pairs, and where each key
+ *   was defined as `{ file, line, column, raw }`.
+ */
+function readProperties(content, filePath) {
+  const values = {};
+  const locations = {};
+
+  for (const { text, line, column, raw } of readLogicalLines(content)) {
+    const { key, value } = splitPropertiesLine(text);
+    values[key] = value;
+    locations[key] = { file: filePath, line, column, raw };
+  }
+
+  return { values, locations };
+}
+
+/**
+ * Parses a .properties file into an object (see readProperties).
+ * Handles any file read/parse errors gracefully.
+ * @param {string} filePath - The path to the properties file.
+ * @param {Object} [options] - Parser options.
+ * @param {boolean} [options.withLocations] - Also return where each key was defined.
+ * @param {string} [options.content] - The content, if already read (see resolveFileFormat).
+ * @param {Object[]} [options.parseErrors] - Collects a `{ file, message }` entry per file that
+ *   could not be read or parsed.
+ * @returns {Object} - Key-value pairs, or {} on error. With `withLocations`,
+ *   `{ values, locations }` where each location is `{ file, line, column, raw }`.
+ */
+function parsePropertiesFile(filePath, options = {}) {
+  try {
+    const parsed = readProperties(options.content ?? readFileContent(filePath), splitFormatOverride(filePath).path);
+    return options.withLocations ? parsed : parsed.values;
   } catch (err) {
     console.error(
       `Error reading/parsing .properties file (${filePath}):`,
       err.message
     );
-    return {};
+    options.parseErrors?.push({ file: filePath, message: err.message });
+    return options.withLocations ? { values: {}, locations: {} } : {};
   }
 }
 
 /**
- * Flattens a nested object into a single-level object using dot-notation for nested keys.
- * @param {Object} obj - The object to flatten.
+ * Flattens a nested object into a single-level object using dot-notation for nested keys
+ * and Spring Boot's indexed notation for arrays (e.g. `servers[0].host`).
+ * An empty array is kept as its key with an empty value.
+ * @param {Object|Array} obj - The object to flatten.
  * @param {string} [parentKey=''] - The current parent key (used in recursion).
  * @param {Object} [res={}] - The accumulator object.
  * @returns {Object} - A flattened key-value map.
  */
 function flattenObject(obj, parentKey = "", res = {}) {
-  for (const [key, value] of Object.entries(obj || {})) {
-    const newKey = parentKey ? `${parentKey}.${key}` : key;
-    if (typeof value === "object" && value !== null && !Array.isArray(value)) {
+  if (Array.isArray(obj) && obj.length === 0 && parentKey) {
+    res[parentKey] = "";
+    return res;
+  }
+
+  const entries = Array.isArray(obj)
+    ? obj.map((value, index) => [`[${index}]`, value])
+    : Object.entries(obj || {});
+
+  for (const [key, value] of entries) {
+    let newKey = key;
+    if (Array.isArray(obj)) {
+      newKey = `${parentKey}${key}`;
+    } else if (parentKey) {
+      newKey = `${parentKey}.${key}`;
+    }
+
+    if (Array.isArray(value) || isPlainObject(value)) {
       flattenObject(value, newKey, res);
     } else {
       // Ensure all values are strings for consistent comparison
@@ -77,324 +484,3924 @@ function flattenObject(obj, parentKey = "", res = {}) {
 }
 
 /**
- * Parses a .yml or .yaml file into a flat key-value map.
- * Handles any file read/parse errors gracefully.
- * @param {string} filePath - The path to the YAML file.
- * @returns {Object} - A flattened key-value map, or {} on error.
+ * Checks whether a parsed value is a plain mapping (and not a Date, Buffer, etc.).
+ * @param {*} value - A parsed value.
+ * @returns {boolean} - True for plain objects.
  */
-function parseYamlFile(filePath) {
-  try {
-    const fileContents = fs.readFileSync(filePath, "utf-8");
-    const data = yaml.load(fileContents);
-    return flattenObject(data);
-  } catch (err) {
-    console.error(
-      `Error reading/parsing YAML file (${filePath}):`,
-      err.message
-    );
-    return {};
+function isPlainObject(value) {
+  if (typeof value !== "object" || value === null) {
+    return false;
   }
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
 }
 
 /**
- * Detects file extension and parses the file content into an object.
- * Currently supports .properties, .yaml, and .yml.
- * If extension is unsupported, logs a warning and returns {}.
- * @param {string} filePath - The path to the file.
- * @returns {Object} - Parsed content as a key-value map, or {} if unsupported.
+ * Removes the quotes around a YAML mapping key, if any.
+ * @param {string} key - The key as written in the file.
+ * @returns {string} - The unquoted key.
  */
-function parseFile(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-
-  switch (ext) {
-    case ".properties":
-      return parsePropertiesFile(filePath);
-    case ".yml":
-    case ".yaml":
-      return parseYamlFile(filePath);
-    default:
-      console.error(
-        `Warning: Unsupported file extension "${ext}" for file "${filePath}". ` +
-        `Only .properties, .yml, or .yaml are supported. This file will be treated as empty.`
-      );
-      return {};
+function unquoteYamlKey(key) {
+  if (key.startsWith('"') && key.endsWith('"') && key.length > 1) {
+    try {
+      return JSON.parse(key);
+    } catch {
+      return key.slice(1, -1);
+    }
   }
+  if (key.startsWith("'") && key.endsWith("'") && key.length > 1) {
+    return key.slice(1, -1).replaceAll("''", "'");
+  }
+  return key;
 }
 
 /**
- * Internal helper that compares key-value data from multiple files
- * and returns a structured result (without printing to console).
- *
- * @param {string[]} filePaths - Array of file paths.
- * @returns {{
- *    mismatchCount: number,
- *    mismatchDetails: {
- *        key: string,
- *        values: string[],
- *        matched: boolean
- *    }[]
- * }}
+ * Scans block-style YAML line by line and records where each mapping key and
+ * sequence item is defined, using indentation to build the same paths as
+ * flattenObject (`a.b`, `servers[0].host`). Keys inside flow collections are not located.
+ * Documents separated by `---` (or ended by `...`) are scanned separately.
+ * @param {string} content - Raw YAML content.
+ * @param {string} filePath - The file the content was read from.
+ * @returns {Object[]} - One map of flattened key to `{ file, line, column, raw }` per document.
  */
-function compareFileData(filePaths) {
-  // Parse each file
-  const parsedObjects = filePaths.map(parseFile);
+function scanYamlKeyLocations(content, filePath) {
+  const keyPattern =
+    /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s#'"{[\]}!&*|>%@`-][^#]*?|-[^\s#][^#]*?)[ \t]*:(?:[ \t]+(.*))?$/;
+  const blockScalarPattern = /^[|>][-+0-9]*\s*(#.*)?$/;
+  const documents = [{}];
+  const stack = [];
+  let locations = documents[0];
+  let blockScalarIndent = null;
+  let hasContent = false;
+  let explicitStart = false;
+  let ended = false;
 
-  // Collect all unique keys
-  const allKeys = new Set(parsedObjects.flatMap((obj) => Object.keys(obj)));
+  const startDocument = () => {
+    locations = {};
+    documents.push(locations);
+    stack.length = 0;
+    hasContent = false;
+    explicitStart = false;
+    ended = false;
+  };
 
-  const mismatchDetails = [];
+  const currentPath = () =>
+    stack.reduce((fullKey, entry) => {
+      if (entry.item) {
+        return `${fullKey}${entry.key}`;
+      }
+      return fullKey ? `${fullKey}.${entry.key}` : entry.key;
+    }, "");
 
-  // Compare values for each key across files
-  allKeys.forEach((key) => {
-    const values = parsedObjects.map(
-      (obj) => obj[key]?.replaceAll(/\s+/g, "") || "N/A"
-    );
-    const matched = values.every((value) => value === values[0]);
-    mismatchDetails.push({ key, values, matched });
+  const record = (index, column, lineText) => {
+    locations[currentPath()] = {
+      file: filePath,
+      line: index + 1,
+      column,
+      raw: lineText.trimEnd(),
+    };
+  };
+
+  // Handles "key: value" starting at the given indentation
+  const addMappingKey = (match, indent, index, lineText) => {
+    while (stack.length && stack.at(-1).indent >= indent) {
+      stack.pop();
+    }
+    stack.push({ indent, key: unquoteYamlKey(match[1]) });
+    record(index, indent + 1, lineText);
+
+    if (blockScalarPattern.test(match[2] ?? "")) {
+      blockScalarIndent = indent;
+    }
+  };
+
+  content.split(/\r?\n/).forEach((lineText, index) => {
+    const indent = lineText.length - lineText.trimStart().length;
+    const trimmed = lineText.trim();
+
+    // Skip the body of a literal (|) or folded (>) block scalar
+    if (blockScalarIndent !== null) {
+      if (!trimmed || indent > blockScalarIndent) {
+        return;
+      }
+      blockScalarIndent = null;
+    }
+
+    if (!trimmed || trimmed.startsWith("#")) {
+      return;
+    }
+    if (/^---(\s|$)/.test(lineText)) {
+      // A leading "---" starts the first document rather than a new one
+      if (hasContent || explicitStart || ended) {
+        startDocument();
+      }
+      explicitStart = true;
+      return;
+    }
+    if (/^\.\.\.(\s|$)/.test(lineText)) {
+      ended = true;
+      stack.length = 0;
+      return;
+    }
+    if (ended) {
+      startDocument();
+    }
+    hasContent = true;
+
+    // Sequence item: "- value" or "- key: value"
+    if (trimmed === "-" || trimmed.startsWith("- ")) {
+      let itemIndex = 0;
+      while (
+        stack.length &&
+        (stack.at(-1).indent > indent || (stack.at(-1).item && stack.at(-1).indent === indent))
+      ) {
+        const entry = stack.pop();
+        if (entry.item && entry.indent === indent) {
+          itemIndex = entry.index + 1;
+        }
+      }
+      stack.push({ indent, key: `[${itemIndex}]`, item: true, index: itemIndex });
+
+      const itemText = trimmed.slice(1).trimStart();
+      const itemIndent = lineText.length - lineText.trimStart().length + trimmed.length - itemText.length;
+      if (!itemText || itemText.startsWith("#")) {
+        return;
+      }
+
+      const itemMatch = keyPattern.exec(itemText);
+      if (itemMatch) {
+        addMappingKey(itemMatch, itemIndent, index, lineText);
+      } else {
+        record(index, itemIndent + 1, lineText);
+        if (blockScalarPattern.test(itemText)) {
+          blockScalarIndent = indent;
+        }
+      }
+      return;
+    }
+
+    const match = keyPattern.exec(trimmed);
+    if (match) {
+      addMappingKey(match, indent, index, lineText);
+    }
   });
 
-  // Count mismatches
-  const mismatchCount = mismatchDetails.filter((d) => !d.matched).length;
-  return { mismatchCount, mismatchDetails };
+  return documents;
 }
 
 /**
- * Helper function: checks if all values match across the provided files.
- *
- * @param {string[]} filePaths - Array of file paths.
- * @returns {boolean} - True if all properties match across all files, false otherwise.
+ * Keys that control when a YAML document is active. They are not compared.
  */
-function checkIfAllValuesMatch(filePaths) {
-  const { mismatchCount } = compareFileData(filePaths);
-  return mismatchCount === 0;
+const PROFILE_ACTIVATION_KEY = /^spring\.config\.activate\.|^spring\.profiles(\[\d+\])?$/;
+
+/**
+ * Reads the profile condition of a flattened YAML document, from
+ * `spring.config.activate.on-profile` or the legacy `spring.profiles`.
+ * @param {Object} values - Flattened document values.
+ * @returns {string[]|null} - Profile expressions (any of which must match), or null if unconditional.
+ */
+function getProfileActivation(values) {
+  for (const base of ["spring.config.activate.on-profile", "spring.profiles"]) {
+    const expressions = Object.keys(values)
+      .filter(
+        (key) =>
+          key === base ||
+          (key.startsWith(base) && /^\[\d+\]$/.test(key.slice(base.length)))
+      )
+      .flatMap((key) => values[key].split(","))
+      .map((expression) => expression.trim())
+      .filter(Boolean);
+    if (expressions.length > 0) {
+      return expressions;
+    }
+  }
+  return null;
 }
 
 /**
- * Helper function: returns a list of fields (keys) that do not match.
- *
- * @param {string[]} filePaths - Array of file paths.
- * @returns {string[]} - List of mismatched keys.
+ * Evaluates a Spring profile expression such as `prod`, `!dev`,
+ * `prod & cloud` or `(prod | staging) & !local` against the active profiles.
+ * @param {string} expression - The profile expression.
+ * @param {string[]} activeProfiles - Currently active profiles.
+ * @returns {boolean} - True if the expression matches.
+ * @throws {Error} - If the expression is malformed.
  */
-function getMismatchFields(filePaths) {
-  const { mismatchDetails } = compareFileData(filePaths);
-  return mismatchDetails
-    .filter((detail) => !detail.matched)
-    .map((detail) => detail.key);
+function matchesProfileExpression(expression, activeProfiles) {
+  const tokens = expression.match(/[()!&|]|[^\s()!&|]+/g) || [];
+  let position = 0;
+
+  const parseOr = () => {
+    let result = parseAnd();
+    while (tokens[position] === "|") {
+      position++;
+      result = parseAnd() || result;
+    }
+    return result;
+  };
+  const parseAnd = () => {
+    let result = parseNot();
+    while (tokens[position] === "&") {
+      position++;
+      result = parseNot() && result;
+    }
+    return result;
+  };
+  const parseNot = () => {
+    const token = tokens[position++];
+    if (token === "!") {
+      return !parseNot();
+    }
+    if (token === "(") {
+      const result = parseOr();
+      if (tokens[position++] !== ")") {
+        throw new Error(`Malformed profile expression "${expression}"`);
+      }
+      return result;
+    }
+    if (token === undefined || "()&|".includes(token)) {
+      throw new Error(`Malformed profile expression "${expression}"`);
+    }
+    return activeProfiles.includes(token);
+  };
+
+  const result = parseOr();
+  if (position !== tokens.length) {
+    throw new Error(`Malformed profile expression "${expression}"`);
+  }
+  return result;
 }
 
 /**
- * Generates an HTML report for the comparison results.
- *
- * @param {Array} filePaths - Array of file paths that were compared
- * @param {Object} comparisonData - The output from compareFileData function
- * @returns {string} - HTML document as string
+ * Merges flattened key-value data into a target, the way Spring layers property
+ * sources: each key of the source overrides the target, and a list defined in the
+ * source replaces the whole list in the target.
+ * @param {{ values: Object, locations: Object }} target - Data to merge into (modified).
+ * @param {{ values: Object, locations: Object }} source - Data that takes precedence.
+ * @returns {{ values: Object, locations: Object }} - The target.
  */
-function generateHtmlReport(filePaths, comparisonData) {
-  const { mismatchCount, mismatchDetails } = comparisonData;
-  const fileNames = filePaths.map((fp) => path.basename(fp));
+function mergeFlattened(target, source) {
+  const listPrefixes = new Set();
+  for (const key of Object.keys(source.values)) {
+    for (const match of key.matchAll(/\[\d+\]/g)) {
+      listPrefixes.add(`${key.slice(0, match.index)}[`);
+    }
+  }
+  for (const key of Object.keys(target.values)) {
+    if ([...listPrefixes].some((prefix) => key.startsWith(prefix))) {
+      delete target.values[key];
+      delete target.locations[key];
+    }
+  }
 
-  // Start HTML document
-  let html = `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>Properties Comparison Report</title>
-  <style>
-    body { font-family: Arial, sans-serif; margin: 20px; line-height: 1.6; color: #333; }
-    h1, h2 { color: #0066cc; }
-    table { border-collapse: collapse; width: 100%; margin-bottom: 20px; }
-    th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-    th { background-color: #f2f2f2; }
-    tr:nth-child(even) { background-color: #f9f9f9; }
-    tr:hover { background-color: #f2f2f2; }
-    .mismatch { background-color: #ffe6e6; }
-    .matched { background-color: #e6ffe6; }
-    .value-mismatch { color: #cc0000; font-weight: bold; }
+  for (const [key, value] of Object.entries(source.values)) {
+    target.values[key] = value;
+    if (Object.hasOwn(source.locations, key)) {
+      target.locations[key] = source.locations[key];
+    } else {
+      delete target.locations[key];
+    }
+  }
+  return target;
+}
+
+/**
+ * Parses every document of (multi-document) YAML content into a flat key-value map.
+ * @param {string} fileContents - The YAML content.
+ * @param {string} filePath - The file the content came from, for the locations.
+ * @returns {{ index: number, activation: string[]|null, values: Object, locations: Object }[]} -
+ *   One entry per document, with the profile condition it is activated by
+ *   (see getProfileActivation). Activation keys are left out of the values.
+ * @throws {Error} - If the content is not valid YAML.
+ */
+function readYamlDocuments(fileContents, filePath) {
+  const documents = yaml.loadAll(fileContents);
+  const scanned = scanYamlKeyLocations(fileContents, filePath);
+
+  return documents.map((data, index) => {
+    const flattened = flattenObject(data);
+    const activation = getProfileActivation(flattened);
+    const values = {};
+    const locations = {};
+    for (const [key, value] of Object.entries(flattened)) {
+      if (PROFILE_ACTIVATION_KEY.test(key)) {
+        continue;
+      }
+      values[key] = value;
+      if (scanned[index] && Object.hasOwn(scanned[index], key)) {
+        locations[key] = scanned[index][key];
+      }
+    }
+    return { index, activation, values, locations };
+  });
+}
+
+/**
+ * Resolves the active profiles: the given ones, else `spring.profiles.active` from
+ * unconditional documents, else Spring's "default" profile.
+ * @param {Object[]} documents - Documents from readYamlDocuments.
+ * @param {string|string[]} [profile] - Explicitly activated profile(s), comma-separated or as an array.
+ * @returns {string[]} - Active profile names.
+ */
+function resolveActiveProfiles(documents, profile) {
+  const splitProfiles = (value) =>
+    (Array.isArray(value) ? value : value.split(","))
+      .map((name) => name.trim())
+      .filter(Boolean);
+
+  if (profile && splitProfiles(profile).length > 0) {
+    return splitProfiles(profile);
+  }
+  const configured = documents
+    .filter((doc) => !doc.activation && Object.hasOwn(doc.values, "spring.profiles.active"))
+    .map((doc) => doc.values["spring.profiles.active"]);
+  if (configured.length > 0 && splitProfiles(configured.at(-1)).length > 0) {
+    return splitProfiles(configured.at(-1));
+  }
+  return ["default"];
+}
+
+/**
+ * Merges the documents of a YAML file that are active for the given profiles, following
+ * Spring's rules: unconditional documents always apply, documents with an `on-profile`
+ * condition apply when it matches, and later documents override earlier ones.
+ * @param {Object[]} documents - Documents from readYamlDocuments.
+ * @param {string|string[]} [profile] - Active profile(s).
+ * @returns {{ values: Object, locations: Object }} - The merged data.
+ */
+function mergeYamlDocuments(documents, profile) {
+  const activeProfiles = resolveActiveProfiles(documents, profile);
+  return documents
+    .filter(
+      (doc) =>
+        !doc.activation ||
+        doc.activation.some((expression) => matchesProfileExpression(expression, activeProfiles))
+    )
+    .reduce((merged, doc) => mergeFlattened(merged, doc), { values: {}, locations: {} });
+}
+
+/**
+ * Parses each document of a multi-document YAML file separately.
+ * Handles any file read/parse errors gracefully.
+ * @param {string} filePath - The path to the YAML file.
+ * @param {Object} [options] - Parser options.
+ * @param {string} [options.content] - The content, if already read (see resolveFileFormat).
+ * @param {Object[]} [options.parseErrors] - Collects a `{ file, message }` entry per file that
+ *   could not be read or parsed.
+ * @returns {{ index: number, activation: string[]|null, values: Object, locations: Object }[]} -
+ *   One entry per document, or [] on error.
+ */
+function parseYamlDocuments(filePath, options = {}) {
+  try {
+    return readYamlDocuments(options.content ?? readFileContent(filePath), splitFormatOverride(filePath).path);
+  } catch (err) {
+    console.error(
+      `Error reading/parsing YAML file (${filePath}):`,
+      err.message
+    );
+    options.parseErrors?.push({ file: filePath, message: err.message });
+    return [];
+  }
+}
+
+/**
+ * Parses a .yml or .yaml file into a flat key-value map.
+ * Multi-document files are merged for the active profile(s) (see mergeYamlDocuments).
+ * Handles any file read/parse errors gracefully.
+ * @param {string} filePath - The path to the YAML file.
+ * @param {Object} [options] - Parser options.
+ * @param {boolean} [options.withLocations] - Also return where each key was defined.
+ * @param {string|string[]} [options.profile] - Active Spring profile(s).
+ * @param {string} [options.content] - The content, if already read (see resolveFileFormat).
+ * @param {Object[]} [options.parseErrors] - Collects a `{ file, message }` entry per file that
+ *   could not be read or parsed.
+ * @returns {Object} - A flattened key-value map, or {} on error. With `withLocations`,
+ *   `{ values, locations }` where each location is `{ file, line, column, raw }`.
+ */
+function parseYamlFile(filePath, options = {}) {
+  try {
+    const documents = readYamlDocuments(options.content ?? readFileContent(filePath), splitFormatOverride(filePath).path);
+    const merged = mergeYamlDocuments(documents, options.profile);
+    return options.withLocations ? merged : merged.values;
+  } catch (err) {
+    console.error(
+      `Error reading/parsing YAML file (${filePath}):`,
+      err.message
+    );
+    options.parseErrors?.push({ file: filePath, message: err.message });
+    return options.withLocations ? { values: {}, locations: {} } : {};
+  }
+}
+
+/**
+ * Scans JSON or JSON5 content and records where each key and array item is defined,
+ * building the same paths as flattenObject (`a.b`, `servers[0].host`).
+ * @param {string} content - Raw JSON content (assumed valid).
+ * @param {string} filePath - The file the content was read from.
+ * @returns {Object} - A map of flattened key to `{ file, line, column, raw }`.
+ */
+function scanJsonKeyLocations(content, filePath) {
+  const lines = content.split(/\r\n|\r|\n/);
+  const locations = {};
+  const stack = [];
+  let line = 1;
+  let column = 1;
+  let i = 0;
+
+  const advance = (count) => {
+    for (const char of content.slice(i, i + count)) {
+      // A "\r\n" pair counts once, at its "\n"
+      if (char === "\n" || (char === "\r" && content[i + 1] !== "\n")) {
+        line++;
+        column = 1;
+      } else if (char !== "\r") {
+        column++;
+      }
+      i++;
+    }
+  };
+  const record = (key) => {
+    if (!Object.hasOwn(locations, key)) {
+      locations[key] = { file: filePath, line, column, raw: lines[line - 1].trimEnd() };
+    }
+  };
+  // Path of the value starting here, recording array items as they start
+  const startValue = () => {
+    const parent = stack.at(-1);
+    if (!parent) {
+      return "";
+    }
+    if (parent.type === "object") {
+      return parent.keyPath;
+    }
+    const itemPath = `${parent.path}[${parent.index}]`;
+    record(itemPath);
+    return itemPath;
+  };
+
+  while (i < content.length) {
+    const char = content[i];
+    const parent = stack.at(-1);
+    if (content.startsWith("//", i)) {
+      const end = content.slice(i).search(/[\r\n]/);
+      advance(end === -1 ? content.length - i : end);
+    } else if (content.startsWith("/*", i)) {
+      const end = content.indexOf("*/", i + 2);
+      advance(end === -1 ? content.length - i : end + 2 - i);
+    } else if (char === "{" || char === "[") {
+      const valuePath = startValue();
+      stack.push(
+        char === "{"
+          ? { type: "object", path: valuePath, expectKey: true }
+          : { type: "array", path: valuePath, index: 0 }
+      );
+      advance(1);
+    } else if (char === "}" || char === "]") {
+      stack.pop();
+      advance(1);
+    } else if (char === ",") {
+      if (parent?.type === "object") {
+        parent.expectKey = true;
+      } else if (parent) {
+        parent.index++;
+      }
+      advance(1);
+    } else if (char === ":") {
+      parent.expectKey = false;
+      advance(1);
+    } else if (/\s|\uFEFF/.test(char)) {
+      advance(1);
+    } else {
+      // A string, or an identifier, number or literal
+      let token;
+      if (char === '"' || char === "'") {
+        let end = i + 1;
+        while (end < content.length && content[end] !== char) {
+          end += content[end] === "\\" ? 2 : 1;
+        }
+        token = content.slice(i, end + 1);
+      } else {
+        token = /^[^\s,:[\]{}/]+/.exec(content.slice(i))[0];
+      }
+      if (parent?.type === "object" && parent.expectKey) {
+        const key = /^["']/.test(token) ? JSON5.parse(token) : token;
+        parent.keyPath = parent.path ? `${parent.path}.${key}` : key;
+        record(parent.keyPath);
+      } else {
+        startValue();
+      }
+      advance(token.length);
+    }
+  }
+  return locations;
+}
+
+/**
+ * Parses JSON or JSON5 content (comments, trailing commas, unquoted keys) into a flat
+ * key-value map, flattened like YAML (see flattenObject).
+ * @param {string} content - The content.
+ * @param {string} filePath - The file the content came from, for the locations.
+ * @returns {{ values: Object, locations: Object }} - Key-value pairs, and where each key
+ *   was defined as `{ file, line, column, raw }`.
+ * @throws {Error} - If the content is not valid JSON5 (with the line and column), or not
+ *   an object or array.
+ */
+function readJson(content, filePath) {
+  let data;
+  try {
+    data = JSON5.parse(content);
+  } catch (err) {
+    if (err.lineNumber === undefined) {
+      throw err;
+    }
+    const reason = err.message.replace(/^JSON5: /, "").replace(/ at \d+:\d+$/, "");
+    throw new Error(`${reason} at line ${err.lineNumber}, column ${err.columnNumber}`);
+  }
+  if (!Array.isArray(data) && !isPlainObject(data)) {
+    throw new Error("Expected a JSON object or array at the top level");
+  }
+
+  const values = flattenObject(data);
+  const scanned = scanJsonKeyLocations(content, filePath);
+  const locations = {};
+  for (const key of Object.keys(values)) {
+    if (Object.hasOwn(scanned, key)) {
+      locations[key] = scanned[key];
+    }
+  }
+  return { values, locations };
+}
+
+/**
+ * Parses a .json or .json5 file into a flat key-value map (see readJson).
+ * Handles any file read/parse errors gracefully.
+ * @param {string} filePath - The path to the JSON file.
+ * @param {Object} [options] - Parser options.
+ * @param {boolean} [options.withLocations] - Also return where each key was defined.
+ * @param {string} [options.content] - The content, if already read (see resolveFileFormat).
+ * @param {Object[]} [options.parseErrors] - Collects a `{ file, message }` entry per file that
+ *   could not be read or parsed.
+ * @returns {Object} - A flattened key-value map, or {} on error. With `withLocations`,
+ *   `{ values, locations }` where each location is `{ file, line, column, raw }`.
+ */
+function parseJsonFile(filePath, options = {}) {
+  try {
+    const parsed = readJson(options.content ?? readFileContent(filePath), splitFormatOverride(filePath).path);
+    return options.withLocations ? parsed : parsed.values;
+  } catch (err) {
+    console.error(
+      `Error reading/parsing JSON file (${filePath}):`,
+      err.message
+    );
+    options.parseErrors?.push({ file: filePath, message: err.message });
+    return options.withLocations ? { values: {}, locations: {} } : {};
+  }
+}
+
+/**
+ * A dotenv assignment line: an optional `export`, the key, `=` and the rest of the line.
+ */
+const DOTENV_ASSIGNMENT = /^(\s*(?:export\s+)?)([A-Za-z_][A-Za-z0-9_.-]*)\s*=(.*)$/;
+
+/**
+ * Finds the closing quote of a quoted dotenv value; in double quotes, a backslash
+ * escapes the next character.
+ * @param {string} text - The value after its opening quote.
+ * @param {string} quote - The quote character.
+ * @returns {number} - The index of the closing quote, or -1 if there is none.
+ */
+function findClosingQuote(text, quote) {
+  if (quote !== '"') {
+    return text.indexOf(quote);
+  }
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "\\") {
+      i++;
+    } else if (text[i] === quote) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parses dotenv content into a key-value map. Each entry is `KEY=value`, optionally
+ * prefixed with `export`, and its value is
+ * - unquoted: trimmed, up to a `#` comment after whitespace (`a#b` keeps its `#`),
+ * - single-quoted or backquoted: taken literally,
+ * - double-quoted: with the escapes `\n`, `\r`, `\t`, `\"`, `\\` and `\$`.
+ * Quoted values may span lines and be followed by a comment. Blank lines and `#` lines
+ * are comments; a key defined twice keeps its last value.
+ * @param {string} content - The content.
+ * @param {string} filePath - The file the content came from, for the locations.
+ * @returns {{ values: Object, locations: Object }} - Key-value pairs, and where each key
+ *   was defined as `{ file, line, column, raw }`.
+ * @throws {Error} - On a line that is not an assignment, an unterminated quoted value or
+ *   text after a closing quote, with the line number.
+ */
+function readDotenv(content, filePath) {
+  const lines = content.split(/\r\n|\r|\n/);
+  const values = {};
+  const locations = {};
+  for (let idx = 0; idx < lines.length; idx++) {
+    const text = lines[idx].trim();
+    if (text === "" || text.startsWith("#")) {
+      continue;
+    }
+    const match = DOTENV_ASSIGNMENT.exec(lines[idx]);
+    if (!match) {
+      throw new Error(`Expected KEY=value at line ${idx + 1}`);
+    }
+    const [, prefix, key, rest] = match;
+    const start = idx;
+    const quoted = rest.trimStart();
+    let value;
+    if (/^["'`]/.test(quoted)) {
+      const quote = quoted[0];
+      let body = quoted.slice(1);
+      let end = findClosingQuote(body, quote);
+      while (end === -1 && idx + 1 < lines.length) {
+        idx++;
+        body += `\n${lines[idx]}`;
+        end = findClosingQuote(body, quote);
+      }
+      if (end === -1) {
+        throw new Error(`Unterminated quoted value of ${key} starting at line ${start + 1}`);
+      }
+      if (!/^\s*(#.*)?$/.test(body.slice(end + 1))) {
+        throw new Error(`Unexpected text after the quoted value of ${key} at line ${idx + 1}`);
+      }
+      value = body.slice(0, end);
+      if (quote === '"') {
+        value = value.replace(/\\([nrt"\\$])/g, (escape, char) => ({ n: "\n", r: "\r", t: "\t" })[char] ?? char);
+      }
+    } else {
+      value = rest.replace(/\s#.*$/, "").trim();
+    }
+    values[key] = value;
+    locations[key] = {
+      file: filePath,
+      line: start + 1,
+      column: prefix.length + 1,
+      raw: lines.slice(start, idx + 1).join("\n"),
+    };
+  }
+  return { values, locations };
+}
+
+/**
+ * Parses a dotenv file (`.env`, `.env.local`, `prod.env`, ...) into a key-value map
+ * (see readDotenv). Handles any file read/parse errors gracefully.
+ * @param {string} filePath - The path to the dotenv file.
+ * @param {Object} [options] - Parser options.
+ * @param {boolean} [options.withLocations] - Also return where each key was defined.
+ * @param {string} [options.content] - The content, if already read (see resolveFileFormat).
+ * @param {Object[]} [options.parseErrors] - Collects a `{ file, message }` entry per file that
+ *   could not be read or parsed.
+ * @returns {Object} - A key-value map, or {} on error. With `withLocations`,
+ *   `{ values, locations }` where each location is `{ file, line, column, raw }`.
+ */
+function parseDotenvFile(filePath, options = {}) {
+  try {
+    const parsed = readDotenv(options.content ?? readFileContent(filePath), splitFormatOverride(filePath).path);
+    return options.withLocations ? parsed : parsed.values;
+  } catch (err) {
+    console.error(
+      `Error reading/parsing dotenv file (${filePath}):`,
+      err.message
+    );
+    options.parseErrors?.push({ file: filePath, message: err.message });
+    return options.withLocations ? { values: {}, locations: {} } : {};
+  }
+}
+
+/**
+ * Detects the file format and parses the file content into an object.
+ * Currently supports .properties, .yaml, .yml, .json, .json5 and dotenv files (`.env`,
+ * `.env.*`). Files with other extensions are detected from their content, and `yaml:path`
+ * or `properties:path` names the format.
+ * @param {string} filePath - The path to the file, or STDIN_PATH ("-") for standard input.
+ * @param {Object} [options] - Parser options, passed on to the format parser.
+ * @param {boolean} [options.withLocations] - Also return where each key was defined.
+ * @param {string|string[]} [options.profile] - Active Spring profile(s) for YAML files.
+ * @param {string} [options.stdinFormat] - Format of standard input: "properties", "yaml", "json"
+ *   or "dotenv".
+ * @param {Object[]} [options.parseErrors] - Collects a `{ file, message }` entry per file that
+ *   could not be read or parsed.
+ * @returns {Object} - Parsed content as a key-value map, or {} if the file could not be
+ *   read or parsed. With `withLocations`, `{ values, locations }`.
+ * @throws {Error} - If the format cannot be detected (see resolveFileFormat).
+ */
+function parseFile(filePath, options = {}) {
+  const { format, content } = resolveFileFormat(filePath, options);
+  return parseFileAs(format, filePath, { ...options, content });
+}
+
+/**
+ * Parses a file with the parser of its format (see resolveFileFormat).
+ * @param {string|null} format - The format, or null for a file that could not be read.
+ * @param {string} filePath - The path to the file.
+ * @param {Object} [options] - Parser options, passed on to the format parser.
+ * @returns {Object} - Parsed content as a key-value map (see parseFile).
+ */
+function parseFileAs(format, filePath, options = {}) {
+  switch (format) {
+    case "yaml":
+      return parseYamlFile(filePath, options);
+    case "json":
+      return parseJsonFile(filePath, options);
+    case "dotenv":
+      return parseDotenvFile(filePath, options);
+    case "properties":
+      return parsePropertiesFile(filePath, options);
+    default:
+      // Unreadable; already recorded by resolveFileFormat
+      return options.withLocations ? { values: {}, locations: {} } : {};
+  }
+}
+
+/**
+ * Parses config content held in memory, such as the output of `kubectl get cm -o yaml`
+ * or generated config, into a flat key-value map.
+ * @param {string|Buffer} content - The content (a Buffer is read as UTF-8).
+ * @param {string} format - "properties", "yaml", "json" or "dotenv" (also "yml", ".yaml", "json5", "env", ...).
+ * @param {Object} [options] - Parser options.
+ * @param {boolean} [options.withLocations] - Also return where each key was defined.
+ * @param {string|string[]} [options.profile] - Active Spring profile(s) for multi-document YAML.
+ * @param {string} [options.source] - Name used as the file of the locations (default: "-").
+ * @returns {Object} - Key-value pairs. With `withLocations`, `{ values, locations }`.
+ * @throws {Error} - If the format is unknown or the content is not valid YAML, JSON or dotenv.
+ */
+function parseContent(content, format, options = {}) {
+  const text = Buffer.isBuffer(content) ? content.toString("utf-8") : String(content);
+  const source = options.source ?? STDIN_PATH;
+  let parsed;
+  switch (resolveFormat(format)) {
+    case "yaml":
+      parsed = mergeYamlDocuments(readYamlDocuments(text, source), options.profile);
+      break;
+    case "json":
+      parsed = readJson(text, source);
+      break;
+    case "dotenv":
+      parsed = readDotenv(text, source);
+      break;
+    default:
+      parsed = readProperties(text, source);
+  }
+  return options.withLocations ? parsed : parsed.values;
+}
+
+/**
+ * Value normalization steps that can be combined into a pipeline.
+ * Values are normalized before comparison only; reports show the original value.
+ */
+const VALUE_NORMALIZERS = {
+  exact: (value) => value,
+  trim: (value) => value.trim(),
+  collapse: (value) => value.trim().replaceAll(/\s+/g, " "),
+  "ignore-case": (value) => value.toLowerCase(),
+  nfc: (value) => value.normalize("NFC"),
+};
+
+const DEFAULT_NORMALIZATION = ["trim"];
+
+/**
+ * Resolves a normalization setting into a list of step names.
+ * @param {string|string[]} [normalize] - Step names, as an array or a comma-separated string.
+ * @returns {string[]} - The validated list of steps.
+ * @throws {Error} - If a step is unknown.
+ */
+function resolveNormalization(normalize = DEFAULT_NORMALIZATION) {
+  const steps = (Array.isArray(normalize) ? normalize : normalize.split(","))
+    .map((step) => step.trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const step of steps) {
+    if (!Object.hasOwn(VALUE_NORMALIZERS, step)) {
+      throw new Error(
+        `Unknown normalization "${step}". Use one of: ${Object.keys(VALUE_NORMALIZERS).join(", ")}`
+      );
+    }
+  }
+  return steps;
+}
+
+/**
+ * Applies a normalization pipeline to a value.
+ * @param {string} value - The original value.
+ * @param {string[]} steps - Normalization steps, applied in order.
+ * @returns {string} - The normalized value used for comparison.
+ */
+function normalizeValue(value, steps) {
+  return steps.reduce((result, step) => VALUE_NORMALIZERS[step](result), value);
+}
+
+/**
+ * Finds the "}" that closes the placeholder starting at `start` ("${"),
+ * skipping nested placeholders.
+ * @param {string} text - Text containing the placeholder.
+ * @param {number} start - Index of the opening "${".
+ * @returns {number} - Index of the closing "}", or -1 if unterminated.
+ */
+function findPlaceholderEnd(text, start) {
+  let depth = 0;
+  for (let i = start + 2; i < text.length; i++) {
+    if (text.startsWith("${", i)) {
+      depth++;
+      i++;
+    } else if (text[i] === "}") {
+      if (depth === 0) {
+        return i;
+      }
+      depth--;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Splits placeholder content into its name and default value at the first
+ * ":" outside nested placeholders.
+ * @param {string} content - Text between "${" and "}".
+ * @returns {{ name: string, defaultValue?: string }} - The name and optional default.
+ */
+function splitPlaceholder(content) {
+  let depth = 0;
+  for (let i = 0; i < content.length; i++) {
+    if (content.startsWith("${", i)) {
+      depth++;
+      i++;
+    } else if (content[i] === "}") {
+      depth--;
+    } else if (content[i] === ":" && depth === 0) {
+      return { name: content.slice(0, i), defaultValue: content.slice(i + 1) };
+    }
+  }
+  return { name: content };
+}
+
+/**
+ * Resolves Spring-style placeholders (`${name}`, `${name:default}`, nested
+ * `${a:${b}}`) in every value of a file. Names are looked up in the file's own
+ * values first, then in the env map; `\${` is kept as a literal "${".
+ * @param {Object} values - Flat key-value map of one file.
+ * @param {Object} [env] - Extra values (e.g. environment variables) to resolve against.
+ * @returns {{ resolved: Object, errors: Object, references: Object }} - Resolved values, an
+ *   error message per key that has a circular or unresolvable reference (such values are kept
+ *   unresolved), and the names each resolved value pulled in, directly or through other
+ *   placeholders, per key that has any.
+ */
+function resolvePlaceholders(values, env = {}) {
+  let used;
+  const resolveText = (text, stack) => {
+    let result = "";
+    let i = 0;
+    while (i < text.length) {
+      const start = text.indexOf("${", i);
+      if (start === -1) {
+        result += text.slice(i);
+        break;
+      }
+      if (start > 0 && text[start - 1] === "\\") {
+        result += `${text.slice(i, start - 1)}\${`;
+        i = start + 2;
+        continue;
+      }
+      const end = findPlaceholderEnd(text, start);
+      if (end === -1) {
+        result += text.slice(i);
+        break;
+      }
+      result += text.slice(i, start) + resolvePlaceholder(text.slice(start + 2, end), stack);
+      i = end + 1;
+    }
+    return result;
+  };
+
+  const resolvePlaceholder = (content, stack) => {
+    const { name: rawName, defaultValue } = splitPlaceholder(content);
+    const name = resolveText(rawName, stack);
+    if (stack.includes(name)) {
+      throw new Error(
+        `Circular placeholder reference: ${[...stack, name].join(" -> ")}`
+      );
+    }
+    if (Object.hasOwn(values, name)) {
+      used.add(name);
+      return resolveText(values[name], [...stack, name]);
+    }
+    if (Object.hasOwn(env, name)) {
+      used.add(name);
+      return resolveText(String(env[name]), [...stack, name]);
+    }
+    if (defaultValue !== undefined) {
+      return resolveText(defaultValue, stack);
+    }
+    throw new Error(`Could not resolve placeholder "${name}"`);
+  };
+
+  const resolved = {};
+  const errors = {};
+  const references = {};
+  for (const [key, value] of Object.entries(values)) {
+    used = new Set();
+    try {
+      resolved[key] = resolveText(value, [key]);
+      if (used.size > 0) {
+        references[key] = [...used];
+      }
+    } catch (err) {
+      resolved[key] = value;
+      errors[key] = err.message;
+    }
+  }
+  return { resolved, errors, references };
+}
+
+/**
+ * Parses `KEY=VALUE` assignments (as given on the command line) into an env map.
+ * @param {string[]} assignments - Assignments; a bare `KEY` maps to an empty value.
+ * @returns {Object} - The env map.
+ */
+function parseEnvAssignments(assignments = []) {
+  const env = {};
+  for (const assignment of assignments) {
+    const eqIndex = assignment.indexOf("=");
+    if (eqIndex === -1) {
+      env[assignment] = "";
+    } else {
+      env[assignment.slice(0, eqIndex)] = assignment.slice(eqIndex + 1);
+    }
+  }
+  return env;
+}
+
+/**
+ * Ways of comparing lists: "index" compares `list[0]`, `list[1]`, ... one by one,
+ * "set" compares scalar lists as order-insensitive sets of values.
+ */
+const LIST_MODES = ["index", "set"];
+
+/**
+ * Collapses indexed scalar list entries (`list[0]`, `list[1]`, ...) into a single
+ * `list` entry holding the distinct values, sorted by their normalized form and
+ * joined with ", ". Entries with nested keys (`servers[0].host`) are left as they are.
+ * @param {{ values: Object, locations: Object }} parsed - A parsed file.
+ * @param {string[]} normalization - Normalization steps used to sort and de-duplicate.
+ * @returns {{ values: Object, locations: Object }} - The parsed file with lists collapsed.
+ */
+function collapseScalarLists(parsed, normalization) {
+  const values = {};
+  const locations = {};
+  const lists = new Map();
+
+  for (const [key, value] of Object.entries(parsed.values)) {
+    const match = /^(.*)\[\d+\]$/.exec(key);
+    if (match) {
+      if (!lists.has(match[1])) {
+        lists.set(match[1], []);
+      }
+      lists.get(match[1]).push({ value, location: parsed.locations[key] });
+    } else {
+      values[key] = value;
+      if (Object.hasOwn(parsed.locations, key)) {
+        locations[key] = parsed.locations[key];
+      }
+    }
+  }
+
+  lists.forEach((items, listKey) => {
+    const distinct = new Map();
+    items.forEach(({ value }) => {
+      const normalized = normalizeValue(value, normalization);
+      if (!distinct.has(normalized)) {
+        distinct.set(normalized, value);
+      }
+    });
+    values[listKey] = [...distinct.keys()]
+      .sort()
+      .map((normalized) => distinct.get(normalized))
+      .join(", ");
+    if (items[0].location) {
+      locations[listKey] = items[0].location;
+    }
+  });
+
+  return { values, locations };
+}
+
+/**
+ * Ways of handling multi-document YAML files: "merge" the documents active for the
+ * selected profile(s) into one column, or "split" them into one column per document.
+ */
+const YAML_DOCUMENT_MODES = ["merge", "split"];
+
+/**
+ * Splits a file argument into its layers. `base.yml+prod.yml` declares a stack of
+ * files where later layers override earlier ones; an existing file whose name
+ * contains "+" is a single layer.
+ * @param {string} spec - A file path or a "+"-separated stack of file paths.
+ * @returns {string[]} - The layer paths, in order of precedence (lowest first).
+ */
+function getLayerPaths(spec) {
+  if (!spec.includes("+") || fs.existsSync(spec)) {
+    return [spec];
+  }
+  return spec.split("+").filter(Boolean);
+}
+
+/**
+ * Resolves every layer of a file argument to an absolute path, keeping its format
+ * override. Standard input ("-") and git revision specs (see getGitSpec) are kept as they are.
+ * @param {string} spec - A file path or a "+"-separated stack of file paths.
+ * @returns {string} - The resolved argument.
+ */
+function resolveFileSpec(spec) {
+  return getLayerPaths(spec)
+    .map((layer) => {
+      const { path: source } = splitFormatOverride(layer);
+      if (source === STDIN_PATH || getGitSpec(source)) {
+        return layer;
+      }
+      return layer.slice(0, layer.length - source.length) + path.resolve(source);
+    })
+    .join("+");
+}
+
+/**
+ * Builds the effective configuration of a stack of files: each layer is parsed
+ * and merged over the previous ones (see mergeFlattened). Every value keeps the
+ * location of the layer it came from, falling back to the layer file itself
+ * when the parser could not locate the key.
+ * @param {string[]} layers - Layer paths, lowest precedence first.
+ * @param {Object} [options] - Comparison options (`profile`, `stdinFormat`, `parseErrors`).
+ * @returns {{ values: Object, locations: Object }} - The merged data.
+ */
+function mergeLayers(layers, options = {}) {
+  return layers.reduce(
+    (merged, layer) => {
+      const parsed = parseFile(layer, {
+        withLocations: true,
+        profile: options.profile,
+        stdinFormat: options.stdinFormat,
+        parseErrors: options.parseErrors,
+      });
+      const locations = {};
+      for (const key of Object.keys(parsed.values)) {
+        locations[key] = Object.hasOwn(parsed.locations, key)
+          ? parsed.locations[key]
+          : { file: splitFormatOverride(layer).path, line: null, column: null, raw: null };
+      }
+      return mergeFlattened(merged, { values: parsed.values, locations });
+    },
+    { values: {}, locations: {} }
+  );
+}
+
+/**
+ * Loads the column(s) compared for one file argument. A multi-document YAML file
+ * in "split" mode gives one column per document, labelled `file#N [profiles]`,
+ * and a stack of files (`base.yml+prod.yml`) gives one column with the merged layers.
+ * @param {string} filePath - The path to the file, or a "+"-separated stack of paths.
+ * @param {Object} [options] - Comparison options (`profile`, `yamlDocuments`, `stdinFormat`, `parseErrors`).
+ * @returns {{ path: string, label: string, layers?: string[], values: Object, locations: Object }[]} -
+ *   The columns.
+ */
+function loadColumns(filePath, options = {}) {
+  const layers = getLayerPaths(filePath);
+  if (layers.length > 1) {
+    return [
+      {
+        path: filePath,
+        label: layers.map(getFileLabel).join("+"),
+        layers,
+        ...mergeLayers(layers, options),
+      },
+    ];
+  }
+
+  const label = getFileLabel(filePath);
+  const { format, content } = resolveFileFormat(filePath, options);
+
+  if (options.yamlDocuments === "split" && format === "yaml") {
+    const documents = parseYamlDocuments(filePath, { ...options, content });
+    if (documents.length > 1) {
+      return documents.map((doc) => ({
+        path: filePath,
+        label: `${label}#${doc.index + 1}${doc.activation ? ` [${doc.activation.join(", ")}]` : ""}`,
+        values: doc.values,
+        locations: doc.locations,
+      }));
+    }
+  }
+
+  const parsed = parseFileAs(format, filePath, {
+    withLocations: true,
+    profile: options.profile,
+    parseErrors: options.parseErrors,
+    content,
+  });
+  return [{ path: filePath, label, ...parsed }];
+}
+
+/**
+ * Returns the compared columns of a report: the files recorded by compareFileData,
+ * or one column per file path for comparison data that has none.
+ * @param {string[]} filePaths - Array of file paths that were compared.
+ * @param {Object} comparisonData - The output from compareFileData function.
+ * @returns {{ path: string, label: string }[]} - Path and display label per column.
+ */
+function getReportFiles(filePaths, comparisonData) {
+  return (
+    comparisonData.files ??
+    filePaths.map((filePath) => ({ path: filePath, label: getFileLabel(filePath) }))
+  );
+}
+
+/**
+ * Labels used when rendering keys that are missing from a file, or defined with an empty value.
+ */
+const MISSING_LABEL = "(missing)";
+const EMPTY_LABEL = "(empty)";
+
+/**
+ * Returns the text shown for a value, using labels for missing and empty values.
+ * @param {string|null} value - A compared value, null when the key is missing.
+ * @returns {string} - The value, or MISSING_LABEL / EMPTY_LABEL.
+ */
+function displayValue(value) {
+  if (value === null) {
+    return MISSING_LABEL;
+  }
+  return value === "" ? EMPTY_LABEL : value;
+}
+
+/**
+ * Mismatch classifications, in the order they are reported.
+ */
+const ISSUE_TYPES = ["missing", "empty", "type", "value"];
+
+/**
+ * Infers the type of a scalar written as text, the way YAML core schema and
+ * Spring's relaxed conversion read it: booleans (true/false/yes/no/on/off, any case),
+ * integers (decimal, 0x hex, 0o octal), floats (including .inf and .nan) and null (null, ~).
+ * Anything else is a string.
+ * @param {string} value - The (normalized) value text.
+ * @returns {{ type: "boolean"|"number"|"null"|"string", canonical: string }} -
+ *   The inferred type and a canonical form used for comparison.
+ */
+function inferScalarType(value) {
+  const text = value.trim();
+  const lower = text.toLowerCase();
+
+  if (["true", "yes", "on"].includes(lower)) {
+    return { type: "boolean", canonical: "true" };
+  }
+  if (["false", "no", "off"].includes(lower)) {
+    return { type: "boolean", canonical: "false" };
+  }
+  if (lower === "null" || text === "~") {
+    return { type: "null", canonical: "null" };
+  }
+  if (/^[-+]?\d+$/.test(text)) {
+    return { type: "number", canonical: BigInt(text).toString() };
+  }
+  if (/^[-+]?0x[0-9a-f]+$/i.test(text) || /^[-+]?0o[0-7]+$/i.test(text)) {
+    const negative = text.startsWith("-");
+    const magnitude = BigInt(text.replace(/^[-+]/, "").toLowerCase());
+    return { type: "number", canonical: (negative ? -magnitude : magnitude).toString() };
+  }
+  if (/^[-+]?(\.\d+|\d+\.\d*|\d+)(e[-+]?\d+)?$/i.test(text)) {
+    const number = Number(text);
+    const canonical = Number.isSafeInteger(number) ? BigInt(number).toString() : String(number);
+    return { type: "number", canonical };
+  }
+  if (/^[-+]?\.inf$/i.test(text)) {
+    return { type: "number", canonical: text.startsWith("-") ? "-Infinity" : "Infinity" };
+  }
+  if (/^\.nan$/i.test(text)) {
+    return { type: "number", canonical: "NaN" };
+  }
+  return { type: "string", canonical: value };
+}
+
+/**
+ * Classifies why the values of a key do not match across files.
+ * A key absent from a file is "missing", a key defined without a value is "empty",
+ * and differing non-empty values are reported once as "value". With typed values,
+ * non-empty values of different types are reported as "type" instead.
+ * @param {(string|null)[]} normalized - Normalized values per file, null when missing.
+ * @param {({ type: string, canonical: string }|null)[]} [typedValues] - Inferred types per
+ *   file (see inferScalarType); when given, values are compared by type and canonical form.
+ * @returns {{ type: string, fileIndex?: number, types?: string[] }[]} - The issues,
+ *   empty when all values match.
+ */
+function classifyValues(normalized, typedValues = null) {
+  const issues = [];
+  const hasContent = normalized.some((value) => value !== null && value !== "");
+
+  normalized.forEach((value, fileIndex) => {
+    if (value === null) {
+      issues.push({ type: "missing", fileIndex });
+    } else if (value === "" && hasContent) {
+      issues.push({ type: "empty", fileIndex });
+    }
+  });
+
+  const contentIndexes = normalized
+    .map((value, fileIndex) => (value === null || value === "" ? -1 : fileIndex))
+    .filter((fileIndex) => fileIndex !== -1);
+
+  if (typedValues) {
+    const typed = contentIndexes.map((fileIndex) => typedValues[fileIndex]);
+    const types = [...new Set(typed.map((entry) => entry.type))];
+    if (types.length > 1) {
+      issues.push({ type: "type", types });
+    } else if (typed.some((entry) => entry.canonical !== typed[0].canonical)) {
+      issues.push({ type: "value" });
+    }
+  } else {
+    const contents = contentIndexes.map((fileIndex) => normalized[fileIndex]);
+    if (contents.some((value) => value !== contents[0])) {
+      issues.push({ type: "value" });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Describes mismatch issues in words, e.g. "missing in File 2, value differs".
+ * @param {{ type: string, fileIndex?: number }[]} issues - Issues from compareFileData.
+ * @returns {string} - A human-readable description.
+ */
+function describeIssues(issues = []) {
+  return issues
+    .map((issue) => {
+      if (issue.type === "value") {
+        return "value differs";
+      }
+      if (issue.type === "type") {
+        return `type differs (${issue.types.join(" vs ")})`;
+      }
+      return `${issue.type} in File ${issue.fileIndex + 1}`;
+    })
+    .join(", ");
+}
+
+/**
+ * Groups mismatched keys by issue type, leaving out accepted differences.
+ * @param {Object[]} mismatchDetails - Details from compareFileData.
+ * @returns {{ missing: string[], empty: string[], value: string[] }} - Keys per issue type.
+ */
+function groupKeysByIssue(mismatchDetails) {
+  const groups = Object.fromEntries(ISSUE_TYPES.map((type) => [type, []]));
+  mismatchDetails.forEach(({ key, issues = [], accepted }) => {
+    if (accepted) {
+      return;
+    }
+    new Set(issues.map((issue) => issue.type)).forEach((type) => {
+      groups[type].push(key);
+    });
+  });
+  return groups;
+}
+
+/**
+ * Headings used for each issue type in report summaries.
+ */
+const ISSUE_HEADINGS = {
+  missing: "Missing keys",
+  empty: "Empty values",
+  type: "Type differences",
+  value: "Value differences",
+};
+
+/**
+ * Compiles a key pattern into a regular expression. `/regex/flags` is used as a
+ * regular expression; anything else is a glob where `*` and `?` match within one
+ * dot-separated segment and `**` matches across segments (`db.**`, `**.password`).
+ * The `g` and `y` flags are rejected: the compiled pattern is tested against every key,
+ * and they would make each test start where the previous match ended.
+ * @param {string} pattern - The key pattern.
+ * @returns {RegExp} - The compiled pattern.
+ * @throws {Error} - If a regular expression is invalid or uses the `g` or `y` flag.
+ */
+function compileKeyPattern(pattern) {
+  const regexMatch = /^\/(.*)\/([a-z]*)$/s.exec(pattern);
+  if (regexMatch) {
+    if (/[gy]/.test(regexMatch[2])) {
+      throw new Error(`Invalid key pattern "${pattern}": the g and y flags are not supported`);
+    }
+    try {
+      return new RegExp(regexMatch[1], regexMatch[2]);
+    } catch (err) {
+      throw new Error(`Invalid key pattern "${pattern}": ${err.message}`);
+    }
+  }
+
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern.startsWith("**", i)) {
+      source += ".*";
+      i++;
+    } else if (pattern[i] === "*") {
+      source += "[^.]*";
+    } else if (pattern[i] === "?") {
+      source += "[^.]";
+    } else {
+      source += pattern[i].replace(/[\\^$.|+()[\]{}]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Builds the key filter for `include`/`exclude` patterns: a key is compared if it
+ * matches any include pattern (or none are given) and no exclude pattern.
+ * @param {Object} [options] - Comparison options.
+ * @param {string|string[]} [options.include] - Patterns of keys to compare.
+ * @param {string|string[]} [options.exclude] - Patterns of keys to ignore.
+ * @returns {function(string): boolean} - Returns true for keys to compare.
+ */
+function createKeyFilter(options = {}) {
+  const compile = (patterns = []) => [patterns].flat().map(compileKeyPattern);
+  const include = compile(options.include);
+  const exclude = compile(options.exclude);
+  return (key) =>
+    (include.length === 0 || include.some((regex) => regex.test(key))) &&
+    !exclude.some((regex) => regex.test(key));
+}
+
+/**
+ * Environment variable names: upper-case letters, digits and underscores.
+ */
+const ENV_VAR_NAME = /^[A-Z][A-Z0-9_]*$/;
+
+/**
+ * Returns the form under which Spring's relaxed binding treats keys as the same property.
+ * Environment variable names become dotted names (`DB_HOST` is `db.host`, `SERVERS_0_HOST`
+ * is `servers[0].host`), and case and dashes do not count (`db.max-pool-size`,
+ * `db.maxPoolSize` and `DB_MAXPOOLSIZE` are one property).
+ * @param {string} key - The key.
+ * @returns {string} - The relaxed form of the key.
+ */
+function getRelaxedKey(key) {
+  const name = ENV_VAR_NAME.test(key)
+    ? key
+      .split("_")
+      .filter(Boolean)
+      .reduce((dotted, part) => (/^\d+$/.test(part) ? `${dotted}[${part}]` : dotted ? `${dotted}.${part}` : part), "")
+    : key;
+  return name.toLowerCase().replaceAll("-", "");
+}
+
+/**
+ * Picks the name each key is compared under with relaxed binding: keys with the same
+ * relaxed form (see getRelaxedKey) share the first of them that is not an environment
+ * variable name, so `DB_HOST` lines up with `db.host`. Keys only ever written as
+ * environment variables keep their first spelling.
+ * @param {string[]} keys - The keys of all compared columns, in column order.
+ * @returns {function(string): string} - Returns the name to compare a key under.
+ */
+function createRelaxedKeyNames(keys) {
+  const names = new Map();
+  for (const key of keys) {
+    const relaxed = getRelaxedKey(key);
+    const name = names.get(relaxed);
+    if (name === undefined || (ENV_VAR_NAME.test(name) && !ENV_VAR_NAME.test(key))) {
+      names.set(relaxed, key);
+    }
+  }
+  return (key) => names.get(getRelaxedKey(key));
+}
+
+/**
+ * Renames the keys of an object; where several keys get the same name, the last one wins.
+ * @param {Object} obj - The object.
+ * @param {function(string): string} rename - Returns the new name of a key.
+ * @returns {Object} - A new object with the renamed keys.
+ */
+function renameKeys(obj, rename) {
+  return Object.fromEntries(Object.entries(obj).map(([key, value]) => [rename(key), value]));
+}
+
+/**
+ * Reads an allowlist of known differences from a YAML or JSON file: a list of
+ * entries (or `{ entries: [...] }`), each with
+ * - `key`: key pattern (see compileKeyPattern),
+ * - `files` (optional): files or environments the key may differ in,
+ * - `expected` (optional): the expected value, or a map of file/environment to value,
+ * - `reason`: why the difference is intended,
+ * - `expires` (optional): `YYYY-MM-DD` date after which the entry fails the run.
+ * @param {string} filePath - Path to the allowlist file.
+ * @returns {{ key: string, pattern: RegExp, files: string[]|null, expected?: *, reason: string,
+ *   expires: string|null }[]} - The validated entries.
+ * @throws {Error} - If the file cannot be read or an entry is invalid.
+ */
+function loadAllowlist(filePath) {
+  let content;
+  try {
+    content = yaml.load(fs.readFileSync(filePath, "utf-8"));
+  } catch (err) {
+    throw new Error(`Cannot read allowlist (${filePath}): ${err.message}`);
+  }
+  const entries = Array.isArray(content) ? content : content?.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error(`Allowlist (${filePath}) must be a list of entries`);
+  }
+
+  return entries.map((entry, idx) => {
+    const where = `Allowlist entry ${idx + 1} (${filePath})`;
+    if (!isPlainObject(entry) || typeof entry.key !== "string" || entry.key === "") {
+      throw new Error(`${where} needs a "key" pattern`);
+    }
+    if (typeof entry.reason !== "string" || entry.reason.trim() === "") {
+      throw new Error(`${where} needs a "reason"`);
+    }
+    let expires = entry.expires ?? null;
+    if (expires instanceof Date) {
+      expires = expires.toISOString().slice(0, 10);
+    }
+    if (expires !== null && !/^\d{4}-\d{2}-\d{2}$/.test(String(expires))) {
+      throw new Error(`${where} has an invalid "expires" date "${expires}" (use YYYY-MM-DD)`);
+    }
+    const allowed = {
+      key: entry.key,
+      pattern: compileKeyPattern(entry.key),
+      files: entry.files === undefined ? null : [entry.files].flat().map(String),
+      reason: entry.reason,
+      expires,
+    };
+    if (entry.expected !== undefined) {
+      allowed.expected = entry.expected;
+    }
+    return allowed;
+  });
+}
+
+/**
+ * Names an allowlist may use for a compared file: its path, label and, for the
+ * file and each layer, the base name with and without extension and the Spring
+ * profile suffix (`application-prod.yml` is also "prod").
+ * @param {{ path: string, label: string, layers?: string[] }} file - A compared file.
+ * @returns {string[]} - The names.
+ */
+function getFileNames(file) {
+  const names = [file.path, file.label];
+  const sources = [file.path, ...(file.layers ?? [])].map((name) => splitFormatOverride(name).path);
+  for (const filePath of sources.map((source) => getGitSpec(source)?.path ?? source)) {
+    const base = path.basename(filePath);
+    const stem = path.basename(filePath, path.extname(filePath));
+    names.push(base, stem);
+    if (stem.includes("-")) {
+      names.push(stem.slice(stem.lastIndexOf("-") + 1));
+    }
+  }
+  return names;
+}
+
+/**
+ * Checks whether an allowlist entry accepts the difference of a key: the values of
+ * files not listed in `files` must agree with each other, and listed files must
+ * hold the expected value, if one is given.
+ * @param {Object} entry - An allowlist entry (see loadAllowlist).
+ * @param {{ path: string, label: string }[]} files - The compared files.
+ * @param {(string|null)[]} values - The values per file (null when missing).
+ * @param {(string|null)[]} normalized - The normalized values per file.
+ * @returns {boolean} - True if the difference is accepted.
+ */
+function allowsDifference(entry, files, values, normalized) {
+  const names = files.map(getFileNames);
+  const listed = names.map((fileNames) =>
+    entry.files === null || entry.files.some((name) => fileNames.includes(name))
+  );
+  if (!listed.some(Boolean)) {
+    return false;
+  }
+  const unlisted = new Set(normalized.filter((_, idx) => !listed[idx]));
+  if (unlisted.size > 1) {
+    return false;
+  }
+  if (entry.expected === undefined) {
+    return true;
+  }
+  return values.every((value, idx) => {
+    if (!listed[idx]) {
+      return true;
+    }
+    let expected = entry.expected;
+    if (isPlainObject(expected)) {
+      const name = Object.keys(expected).find((candidate) => names[idx].includes(candidate));
+      if (name === undefined) {
+        return true;
+      }
+      expected = expected[name];
+    }
+    return value === (expected === null ? null : String(expected));
+  });
+}
+
+/**
+ * Today's date as `YYYY-MM-DD`, used to find expired allowlist entries.
+ * @returns {string} - The date.
+ */
+function getToday() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Tells whether a mismatch still needs attention, i.e. it is not accepted by the allowlist.
+ * @param {Object} detail - A mismatch detail from compareFileData.
+ * @returns {boolean} - True for unaccepted mismatches.
+ */
+function isOpenMismatch(detail) {
+  return !detail.matched && !detail.accepted;
+}
+
+/**
+ * Internal helper that compares key-value data from multiple files
+ * and returns a structured result (without printing to console).
+ *
+ * @param {string[]} filePaths - Array of file paths.
+ * @param {Object} [options] - Comparison options.
+ * @param {string|string[]} [options.normalize] - Normalization steps applied to values
+ *   before comparing: exact, trim, collapse, ignore-case, nfc (default: trim).
+ * @param {boolean} [options.typed] - Infer booleans, numbers and null from values and
+ *   compare them by type, so `TRUE` equals `true` and `3306.0` equals `3306`.
+ * @param {string} [options.lists] - "index" (default) compares list items by position,
+ *   "set" compares scalar lists ignoring order and duplicates.
+ * @param {string|string[]} [options.profile] - Active Spring profile(s) used to merge
+ *   multi-document YAML files.
+ * @param {string} [options.yamlDocuments] - "merge" (default) or "split" multi-document
+ *   YAML files into one compared column per document.
+ * @param {boolean} [options.resolvePlaceholders] - Resolve `${...}` placeholders within each
+ *   file before comparing (see resolvePlaceholders).
+ * @param {Object} [options.env] - Extra values placeholders may refer to, e.g. environment variables.
+ * @param {boolean} [options.relaxedBinding] - Match keys like Spring's relaxed binding, so
+ *   `DB_HOST` in a .env file is compared as `db.host` (see getRelaxedKey).
+ * @param {string|string[]} [options.include] - Only compare keys matching these patterns
+ *   (see compileKeyPattern).
+ * @param {string|string[]} [options.exclude] - Ignore keys matching these patterns.
+ * @param {string|Object[]} [options.allowlist] - Allowlist file of known differences, or its
+ *   loaded entries (see loadAllowlist). Accepted mismatches keep `matched: false` but get an
+ *   `accepted` entry and are left out of `mismatchCount`.
+ * @param {string[]} [options.labels] - Column labels to use instead of the file names, one per file path.
+ * @param {string} [options.stdinFormat] - Format of standard input, given as the file path "-"
+ *   (see parseFile).
+ * Each file path may also be a stack of layered files, e.g. `base.yml+prod.yml`.
+ * @returns {{
+ *    files: { path: string, label: string, layers?: string[] }[],
+ *    mismatchCount: number,
+ *    mismatchDetails: {
+ *        key: string,
+ *        values: (string|null)[],
+ *        matched: boolean,
+ *        issues: { type: "missing"|"empty"|"type"|"value", fileIndex?: number, types?: string[] }[],
+ *        locations: ({ file: string, line: number, column: number, raw: string } | null)[],
+ *        types?: (string|null)[],
+ *        rawValues?: (string|null)[],
+ *        placeholderErrors?: (string|null)[],
+ *        placeholderReferences?: string[][],
+ *        accepted?: { key: string, reason: string, expires: string|null }
+ *    }[],
+ *    parseErrors: { file: string, message: string }[],
+ *    ignoredKeys: string[],
+ *    acceptedCount: number,
+ *    expiredAllowlistEntries: { key: string, reason: string, expires: string }[]
+ * }}
+ * Values are null where a key is missing from a file. `types` is only set in typed mode;
+ * `rawValues` (before resolution), `placeholderErrors` and `placeholderReferences` (the names
+ * each value pulled in) only when resolving placeholders.
+ */
+function compareFileData(filePaths, options = {}) {
+  const yamlDocuments = options.yamlDocuments || "merge";
+  if (!YAML_DOCUMENT_MODES.includes(yamlDocuments)) {
+    throw new Error(
+      `Unknown YAML document mode "${yamlDocuments}". Use one of: ${YAML_DOCUMENT_MODES.join(", ")}`
+    );
+  }
+
+  // Parse each file, keeping track of where every key was defined
+  const parseErrors = [];
+  const columns = filePaths.flatMap((filePath, idx) => {
+    const loaded = loadColumns(filePath, { ...options, parseErrors });
+    const label = options.labels?.[idx];
+    // Split YAML documents keep their "#N [profiles]" suffix after the given label
+    return label
+      ? loaded.map((column) => ({ ...column, label: label + column.label.slice(getFileLabel(filePath).length) }))
+      : loaded;
+  });
+  return compareColumns(columns, parseErrors, options);
+}
+
+/**
+ * Compares loaded columns key by key; the core of compareFileData and compareObjects.
+ * @param {{ path: string, label: string, layers?: string[], values: Object, locations: Object }[]} columns -
+ *   The compared columns.
+ * @param {Object[]} parseErrors - The `{ file, message }` errors met while loading them.
+ * @param {Object} [options] - Comparison options (see compareFileData).
+ * @returns {Object} - The comparison result (see compareFileData).
+ */
+function compareColumns(columns, parseErrors, options = {}) {
+  const normalization = resolveNormalization(options.normalize);
+  const isComparedKey = createKeyFilter(options);
+  const allowlist =
+    typeof options.allowlist === "string" ? loadAllowlist(options.allowlist) : options.allowlist ?? [];
+  const today = getToday();
+  const activeEntries = allowlist.filter((entry) => entry.expires === null || entry.expires >= today);
+  const listMode = options.lists || "index";
+  if (!LIST_MODES.includes(listMode)) {
+    throw new Error(
+      `Unknown list mode "${listMode}". Use one of: ${LIST_MODES.join(", ")}`
+    );
+  }
+
+  let resolutions = columns.map((column) =>
+    options.resolvePlaceholders ? resolvePlaceholders(column.values, options.env) : null
+  );
+  // With relaxed binding, DB_HOST in a .env file and db.host elsewhere are one key
+  if (options.relaxedBinding) {
+    const rename = createRelaxedKeyNames(columns.flatMap((column) => Object.keys(column.values)));
+    columns = columns.map((column) => ({
+      ...column,
+      values: renameKeys(column.values, rename),
+      locations: renameKeys(column.locations, rename),
+    }));
+    resolutions = resolutions.map((resolution) =>
+      resolution && {
+        resolved: renameKeys(resolution.resolved, rename),
+        errors: renameKeys(resolution.errors, rename),
+        references: renameKeys(resolution.references, rename),
+      }
+    );
+  }
+  const parsedFiles = columns.map((column, idx) => {
+    const resolvedColumn = resolutions[idx]
+      ? { ...column, values: resolutions[idx].resolved }
+      : column;
+    return listMode === "set"
+      ? collapseScalarLists(resolvedColumn, normalization)
+      : resolvedColumn;
+  });
+  const parsedObjects = parsedFiles.map((parsed) => parsed.values);
+
+  // Collect all unique keys, setting aside those filtered out by include/exclude
+  const allKeys = new Set(parsedObjects.flatMap((obj) => Object.keys(obj)));
+  const ignoredKeys = [...allKeys].filter((key) => !isComparedKey(key));
+  ignoredKeys.forEach((key) => allKeys.delete(key));
+
+  const mismatchDetails = [];
+
+  // Compare values for each key across files
+  allKeys.forEach((key) => {
+    const values = parsedObjects.map((obj) =>
+      Object.hasOwn(obj, key) ? obj[key] : null
+    );
+    const normalized = values.map((value) =>
+      value === null ? null : normalizeValue(value, normalization)
+    );
+    const typedValues = options.typed
+      ? normalized.map((value) => (value === null ? null : inferScalarType(value)))
+      : null;
+    const issues = classifyValues(normalized, typedValues);
+    const matched = issues.length === 0;
+    const locations = parsedFiles.map((parsed) =>
+      Object.hasOwn(parsed.locations, key) ? parsed.locations[key] : null
+    );
+    const detail = { key, values, matched, issues, locations };
+    const acceptedBy = matched
+      ? undefined
+      : activeEntries.find(
+        (entry) => entry.pattern.test(key) && allowsDifference(entry, columns, values, normalized)
+      );
+    if (acceptedBy) {
+      detail.accepted = { key: acceptedBy.key, reason: acceptedBy.reason, expires: acceptedBy.expires };
+    }
+    if (typedValues) {
+      detail.types = typedValues.map((typed) => typed?.type ?? null);
+    }
+    if (options.resolvePlaceholders) {
+      detail.rawValues = columns.map((column, idx) => {
+        if (Object.hasOwn(column.values, key)) {
+          return column.values[key];
+        }
+        return values[idx];
+      });
+      detail.placeholderErrors = resolutions.map((resolution) =>
+        Object.hasOwn(resolution.errors, key) ? resolution.errors[key] : null
+      );
+      detail.placeholderReferences = resolutions.map((resolution) =>
+        Object.hasOwn(resolution.references, key) ? resolution.references[key] : []
+      );
+    }
+    mismatchDetails.push(detail);
+  });
+
+  // Count mismatches
+  const mismatchCount = mismatchDetails.filter(isOpenMismatch).length;
+  const acceptedCount = mismatchDetails.filter((d) => d.accepted).length;
+  const expiredAllowlistEntries = allowlist
+    .filter((entry) => entry.expires !== null && entry.expires < today)
+    .map(({ key, reason, expires }) => ({ key, reason, expires }));
+  const files = columns.map(({ path: filePath, label, layers }) =>
+    layers ? { path: filePath, label, layers } : { path: filePath, label }
+  );
+  return {
+    files,
+    mismatchCount,
+    mismatchDetails,
+    parseErrors,
+    ignoredKeys,
+    acceptedCount,
+    expiredAllowlistEntries,
+  };
+}
+
+/**
+ * Compares already-parsed config objects, e.g. loaded by another tool or built with
+ * parseContent. Nested objects are flattened like YAML (`servers[0].host`); flat maps
+ * with dotted keys are compared as they are.
+ * @param {Object[]} objects - The objects to compare.
+ * @param {Object} [options] - Comparison options (see compareFileData), except the
+ *   file-related `profile`, `yamlDocuments` and `stdinFormat`.
+ * @param {string[]} [options.labels] - Column labels, one per object (default: "Object N").
+ * @returns {Object} - The comparison result (see compareFileData), with each
+ *   column's label as its path and no locations.
+ */
+function compareObjects(objects, options = {}) {
+  const columns = objects.map((obj, idx) => {
+    const label = options.labels?.[idx] ?? `Object ${idx + 1}`;
+    return { path: label, label, values: flattenObject(obj), locations: {} };
+  });
+  return compareColumns(columns, [], options);
+}
+
+/**
+ * Kinds of difference between a target file and the baseline, in report order.
+ */
+const BASELINE_CHANGES = ["added", "removed", "changed"];
+
+/**
+ * Compares every file against a baseline (golden) file instead of treating
+ * all files as peers. Each target gets its own result set of keys added to,
+ * removed from or changed relative to the baseline. All compareFileData options
+ * apply, except splitting multi-document YAML files.
+ * @param {string} baselinePath - The baseline file (or layered stack).
+ * @param {string[]} filePaths - The target files.
+ * @param {Object} [options] - Comparison options (see compareFileData).
+ * @returns {{
+ *    baseline: { path: string, label: string, layers?: string[] },
+ *    targets: {
+ *        file: { path: string, label: string, layers?: string[] },
+ *        added: Object[], removed: Object[], changed: Object[],
+ *        unchangedCount: number
+ *    }[],
+ *    parseErrors: { file: string, message: string }[],
+ *    ignoredKeys: string[],
+ *    expiredAllowlistEntries: { key: string, reason: string, expires: string }[]
+ * }} - Each added/removed/changed entry is `{ key, baselineValue, value, baselineLocation,
+ *   location, issues, accepted? }`, with null values and locations where the key is absent.
+ */
+function compareWithBaseline(baselinePath, filePaths, options = {}) {
+  if (options.yamlDocuments === "split") {
+    throw new Error('Baseline mode cannot be combined with yamlDocuments "split"');
+  }
+  let baseline = { path: baselinePath, label: getFileLabel(baselinePath) };
+  const parseErrors = [];
+  const ignoredKeys = new Set();
+  let expiredAllowlistEntries = [];
+
+  const targets = filePaths.map((filePath) => {
+    const comparison = compareFileData([baselinePath, filePath], options);
+    baseline = comparison.files[0];
+    comparison.ignoredKeys.forEach((key) => ignoredKeys.add(key));
+    comparison.parseErrors.forEach((error) => {
+      if (!parseErrors.some((known) => known.file === error.file && known.message === error.message)) {
+        parseErrors.push(error);
+      }
+    });
+
+    const result = { file: comparison.files[1], added: [], removed: [], changed: [], unchangedCount: 0 };
+    expiredAllowlistEntries = comparison.expiredAllowlistEntries;
+    comparison.mismatchDetails.forEach(({ key, values, matched, issues, locations, accepted, placeholderReferences }) => {
+      if (matched) {
+        result.unchangedCount++;
+        return;
+      }
+      const entry = {
+        key,
+        baselineValue: values[0],
+        value: values[1],
+        baselineLocation: locations[0],
+        location: locations[1],
+        issues,
+      };
+      if (accepted) {
+        entry.accepted = accepted;
+      }
+      if (placeholderReferences) {
+        entry.placeholderReferences = placeholderReferences;
+      }
+      if (values[0] === null) {
+        result.added.push(entry);
+      } else if (values[1] === null) {
+        result.removed.push(entry);
+      } else {
+        result.changed.push(entry);
+      }
+    });
+    return result;
+  });
+
+  return {
+    baseline,
+    targets,
+    parseErrors,
+    ignoredKeys: [...ignoredKeys],
+    expiredAllowlistEntries,
+  };
+}
+
+/**
+ * Summarizes a baseline target as "1 added, 0 removed, 2 changed, 5 unchanged".
+ * @param {Object} target - A target from compareWithBaseline.
+ * @returns {string} - The summary.
+ */
+function describeBaselineCounts(target) {
+  const acceptedCount = BASELINE_CHANGES.flatMap((change) => target[change]).filter(
+    (entry) => entry.accepted
+  ).length;
+  return `${BASELINE_CHANGES.map((change) => `${target[change].length} ${change}`).join(", ")}, ${
+    target.unchangedCount
+  } unchanged${acceptedCount > 0 ? ` (${acceptedCount} accepted)` : ""}`;
+}
+
+/**
+ * Describes how a baseline entry changed, e.g. "changed (accepted: reason)".
+ * @param {string} change - "added", "removed" or "changed".
+ * @param {Object} entry - An entry from compareWithBaseline.
+ * @returns {string} - The description.
+ */
+function describeBaselineChange(change, entry) {
+  return entry.accepted ? `${change} (accepted: ${entry.accepted.reason})` : change;
+}
+
+/**
+ * Lists the differences accepted by the allowlist as "key (reason)" strings.
+ * @param {Object[]} mismatchDetails - Details from compareFileData.
+ * @returns {string[]} - One entry per accepted key.
+ */
+function listAcceptedDifferences(mismatchDetails) {
+  return mismatchDetails
+    .filter((detail) => detail.accepted)
+    .map((detail) => `${detail.key} (${detail.accepted.reason})`);
+}
+
+/**
+ * Lists expired allowlist entries as "key (expired date: reason)" strings.
+ * @param {Object[]} [entries] - Expired entries from compareFileData or compareWithBaseline.
+ * @returns {string[]} - One entry per expired allowlist entry.
+ */
+function listExpiredEntries(entries = []) {
+  return entries.map((entry) => `${entry.key} (expired ${entry.expires}: ${entry.reason})`);
+}
+
+/**
+ * Extensions of the files picked up when comparing directories.
+ */
+const CONFIG_FILE_EXTENSIONS = Object.keys(FILE_FORMATS);
+
+/**
+ * Compiles a file pattern into a regular expression matching a whole relative path:
+ * `*` matches within a directory, `**` across directories and `?` one character.
+ * @param {string} pattern - The glob.
+ * @returns {RegExp} - The compiled pattern.
+ */
+function compileFilePattern(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern.startsWith("**", i)) {
+      source += ".*";
+      i++;
+    } else if (pattern[i] === "*") {
+      source += "[^/]*";
+    } else if (pattern[i] === "?") {
+      source += "[^/]";
+    } else {
+      source += pattern[i].replace(/[\\^$.|+()[\]{}]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Resolves a name mapping for directory comparison: `pattern=name` entries that
+ * pair files with different names, e.g. `application-*.yml=application.yml`.
+ * @param {string|string[]|Object} [nameMap] - Entries, or an object from pattern to name.
+ * @returns {{ pattern: RegExp, name: string }[]} - The compiled mapping.
+ * @throws {Error} - If an entry has no "=".
+ */
+function resolveNameMap(nameMap = []) {
+  const entries =
+    typeof nameMap === "string" || Array.isArray(nameMap)
+      ? [nameMap].flat().map((entry) => {
+        const separator = entry.lastIndexOf("=");
+        if (separator <= 0) {
+          throw new Error(`Invalid name mapping "${entry}". Use pattern=name`);
+        }
+        return [entry.slice(0, separator), entry.slice(separator + 1)];
+      })
+      : Object.entries(nameMap);
+  return entries.map(([pattern, name]) => ({ pattern: compileFilePattern(pattern.trim()), name: name.trim() }));
+}
+
+/**
+ * Whether a path is an existing directory.
+ * @param {string} filePath - The path.
+ * @returns {boolean} - True for a directory.
+ */
+function isDirectory(filePath) {
+  return fs.statSync(filePath, { throwIfNoEntry: false })?.isDirectory() ?? false;
+}
+
+/**
+ * Lists the config files in a directory and its subdirectories, skipping hidden entries
+ * other than dotenv files (`.env`, `.env.*`).
+ * @param {string} dirPath - The directory.
+ * @param {string} [prefix] - Relative path of dirPath (used in recursion).
+ * @returns {string[]} - Relative paths with "/" separators, sorted.
+ */
+function listConfigFiles(dirPath, prefix = "") {
+  return fs
+    .readdirSync(dirPath, { withFileTypes: true })
+    .filter((entry) => !entry.name.startsWith(".") || (entry.isFile() && DOTENV_FILE_NAME.test(entry.name)))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap((entry) => {
+      const relativePath = prefix + entry.name;
+      if (entry.isDirectory()) {
+        return listConfigFiles(path.join(dirPath, entry.name), `${relativePath}/`);
+      }
+      return CONFIG_FILE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ||
+        DOTENV_FILE_NAME.test(entry.name)
+        ? [relativePath]
+        : [];
+    });
+}
+
+/**
+ * Compares directories of config files: files are paired by relative path (or by
+ * the name mapping) and each group of paired files is compared with compareFileData,
+ * with the directories as column labels.
+ * @param {string[]} dirPaths - The directories, e.g. config/dev and config/prod.
+ * @param {Object} [options] - Comparison options (see compareFileData), and:
+ * @param {string|string[]|Object} [options.nameMap] - `pattern=name` entries pairing files
+ *   whose relative paths match the pattern under that name (see resolveNameMap).
+ * @returns {{
+ *   directories: { path: string, label: string }[],
+ *   groups: { name: string, files: (string|null)[], comparison: Object|null }[],
+ *   parseErrors: Object[],
+ *   expiredAllowlistEntries: Object[]
+ * }} - One group per file name, sorted by name, with the file of each directory (`null`
+ *   where it is missing) and its comparison (`null` when only one directory has it).
+ * @throws {Error} - If two files of a directory map to the same name.
+ */
+function compareDirectories(dirPaths, options = {}) {
+  const nameMap = resolveNameMap(options.nameMap);
+  const baseLabels = dirPaths.map((dirPath) => path.basename(path.resolve(dirPath)));
+  const directories = dirPaths.map((dirPath, idx) => ({
+    path: dirPath,
+    label:
+      baseLabels.indexOf(baseLabels[idx]) === baseLabels.lastIndexOf(baseLabels[idx])
+        ? baseLabels[idx]
+        : path.relative(process.cwd(), dirPath) || dirPath,
+  }));
+
+  const groups = new Map();
+  dirPaths.forEach((dirPath, dirIdx) => {
+    listConfigFiles(dirPath).forEach((relativePath) => {
+      const name = nameMap.find((mapping) => mapping.pattern.test(relativePath))?.name ?? relativePath;
+      if (!groups.has(name)) {
+        groups.set(name, dirPaths.map(() => null));
+      }
+      const files = groups.get(name);
+      if (files[dirIdx] !== null) {
+        throw new Error(
+          `Files "${path.relative(dirPath, files[dirIdx])}" and "${relativePath}" in ${dirPath} both pair as "${name}"`
+        );
+      }
+      files[dirIdx] = path.join(dirPath, relativePath);
+    });
+  });
+
+  const parseErrors = [];
+  let expiredAllowlistEntries = [];
+  const results = [...groups.keys()].sort().map((name) => {
+    const files = groups.get(name);
+    const present = files.flatMap((file, idx) => (file === null ? [] : [idx]));
+    if (present.length < 2) {
+      return { name, files, comparison: null };
+    }
+    const comparison = compareFileData(
+      present.map((idx) => files[idx]),
+      { ...options, labels: present.map((idx) => directories[idx].label) }
+    );
+    parseErrors.push(...comparison.parseErrors);
+    expiredAllowlistEntries = comparison.expiredAllowlistEntries;
+    return { name, files, comparison };
+  });
+
+  return { directories, groups: results, parseErrors, expiredAllowlistEntries };
+}
+
+/**
+ * Names the directories a file of a directory comparison is missing from.
+ * @param {Object} group - A group from compareDirectories.
+ * @param {Object[]} directories - The directories from compareDirectories.
+ * @returns {string[]} - Directory labels.
+ */
+function listMissingDirectories(group, directories) {
+  return group.files.flatMap((file, idx) => (file === null ? [directories[idx].label] : []));
+}
+
+/**
+ * Mismatches that fail a run with `--fail-on`: "any" mismatch, "missing" keys
+ * only, or "value" differences only (differing, empty or differently typed values).
+ */
+const FAIL_ON_MODES = {
+  any: () => true,
+  missing: (issue) => issue.type === "missing",
+  value: (issue) => issue.type !== "missing",
+};
+
+/**
+ * Validates a `--fail-on` mode.
+ * @param {string} [failOn="any"] - The requested mode.
+ * @returns {string} - The mode.
+ */
+function resolveFailOn(failOn = "any") {
+  if (!Object.hasOwn(FAIL_ON_MODES, failOn)) {
+    throw new Error(
+      `Unknown fail-on mode "${failOn}". Use one of: ${Object.keys(FAIL_ON_MODES).join(", ")}`
+    );
+  }
+  return failOn;
+}
+
+/**
+ * Exit code of a comparison: 0 when the files are identical (or no unaccepted
+ * mismatch matches `failOn`), 1 for mismatches or expired allowlist entries and
+ * 2 when a file could not be parsed. For lint results, 1 means secrets were found; for
+ * directories, 1 also means a file is missing from a directory.
+ * @param {Object} comparisonData - The output from compareFileData, compareWithBaseline,
+ *   compareDirectories or lintFiles.
+ * @param {string} [failOn="any"] - Mismatches that fail the run: "any", "missing" or "value".
+ * @returns {number} - The exit code.
+ */
+function getExitCode(comparisonData, failOn = "any") {
+  const isFailing = FAIL_ON_MODES[resolveFailOn(failOn)];
+  if (comparisonData.parseErrors?.length > 0) {
+    return 2;
+  }
+  if (comparisonData.findings) {
+    return comparisonData.findings.length > 0 ? 1 : 0;
+  }
+  if (comparisonData.groups) {
+    // A file missing from a directory counts as a missing key
+    const missingFile =
+      isFailing({ type: "missing" }) && comparisonData.groups.some((group) => group.files.includes(null));
+    return Math.max(
+      missingFile ? 1 : 0,
+      ...comparisonData.groups
+        .filter((group) => group.comparison)
+        .map((group) => getExitCode(group.comparison, failOn))
+    );
+  }
+  if (comparisonData.expiredAllowlistEntries?.length > 0) {
+    return 1;
+  }
+  const mismatches = comparisonData.targets
+    ? comparisonData.targets.flatMap((target) => BASELINE_CHANGES.flatMap((change) => target[change]))
+    : comparisonData.mismatchDetails.filter((detail) => !detail.matched);
+  const failing = mismatches.some(
+    (mismatch) => !mismatch.accepted && mismatch.issues.some(isFailing)
+  );
+  return failing ? 1 : 0;
+}
+
+/**
+ * Returns the unresolved value behind a resolved one, or null when placeholder
+ * resolution is off or did not change the value.
+ * @param {Object} detail - A mismatch detail from compareFileData.
+ * @param {number} idx - Index of the file column.
+ * @returns {string|null} - The raw value, or null.
+ */
+function getRawValue(detail, idx) {
+  const raw = detail.rawValues?.[idx] ?? null;
+  return raw !== null && raw !== detail.values[idx] ? raw : null;
+}
+
+/**
+ * Lists placeholder resolution errors as "key (File N: message)" strings.
+ * @param {Object[]} mismatchDetails - Details from compareFileData.
+ * @returns {string[]} - One entry per failed value.
+ */
+function listPlaceholderErrors(mismatchDetails) {
+  return mismatchDetails.flatMap(({ key, placeholderErrors = [] }) =>
+    placeholderErrors.flatMap((message, idx) =>
+      message ? [`${key} (File ${idx + 1}: ${message})`] : []
+    )
+  );
+}
+
+/**
+ * Formats a source location as `file:line`, with the file relative to the
+ * current working directory. Locations without a line are shown as the file alone.
+ * @param {{ file: string, line: number } | null} location - A key location.
+ * @returns {string} - The formatted location, or "" when unknown.
+ */
+function formatLocation(location) {
+  if (!location) {
+    return "";
+  }
+  const file =
+    location.file === STDIN_PATH ? "stdin" : path.relative(process.cwd(), location.file) || location.file;
+  return location.line ? `${file}:${location.line}` : file;
+}
+
+/**
+ * Helper function: checks if all values match across the provided files.
+ *
+ * @param {string[]} filePaths - Array of file paths.
+ * @param {Object} [options] - Comparison options (see compareFileData).
+ * @returns {boolean} - True if all properties match across all files, false otherwise.
+ */
+function checkIfAllValuesMatch(filePaths, options = {}) {
+  const { mismatchCount } = compareFileData(filePaths, options);
+  return mismatchCount === 0;
+}
+
+/**
+ * Helper function: returns a list of fields (keys) that do not match.
+ *
+ * @param {string[]} filePaths - Array of file paths.
+ * @param {Object} [options] - Comparison options (see compareFileData).
+ * @returns {string[]} - List of mismatched keys.
+ */
+function getMismatchFields(filePaths, options = {}) {
+  const { mismatchDetails } = compareFileData(filePaths, options);
+  return mismatchDetails
+    .filter(isOpenMismatch)
+    .map((detail) => detail.key);
+}
+
+/**
+ * Key patterns whose values are masked in reports unless secrets are shown.
+ */
+const DEFAULT_SENSITIVE_KEYS = ["password", "secret", "token", "key"];
+
+/**
+ * Salt for the hashes of masked values, new for every run so that hashes can
+ * be compared within a run but not looked up or matched across reports.
+ */
+const MASK_SALT = crypto.randomBytes(16).toString("hex");
+
+/**
+ * Splits text into lower-case words at `.`, `-`, `_` and other separators, and where a
+ * lower-case letter is followed by an upper-case one, so `api.secret-key` gives `api`,
+ * `secret` and `key`, and `aws.secretAccessKey` gives `aws`, `secret`, `access` and `key`.
+ * @param {string} text - The text, e.g. a key or key segment.
+ * @returns {string[]} - The words of the text.
+ */
+function getWords(text) {
+  return text
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Returns the words of the last segment of a key (see getWords), ignoring list
+ * indexes, so `spring.datasource.password` gives `password` and `servers[0].api-key`
+ * gives `api` and `key`.
+ * @param {string} key - The key.
+ * @returns {string[]} - The words of its last segment.
+ */
+function getLastSegmentWords(key) {
+  return getWords(key.replace(/(\[\d+\])+$/, "").split(".").pop());
+}
+
+/**
+ * Resolves sensitive key patterns: `/regex/flags`, or words that must appear as
+ * a whole word of the key, ignoring case (`key` matches `api.key`, `API_KEY` and
+ * `apiKey` but not `key1` or `monkey`).
+ * @param {string|string[]} [sensitiveKeys] - Patterns, as an array or a comma-separated string.
+ * @param {Object} [options] - Matching options.
+ * @param {boolean} [options.lastSegment] - Words must end the last segment of the key
+ *   instead, as lint needs to avoid false positives (`key` matches `api-key` and `API_KEY`
+ *   but not `key-store` or `cache.key.prefix`).
+ * @returns {Function[]} - A predicate per pattern, taking the key.
+ */
+function resolveSensitiveKeys(sensitiveKeys = DEFAULT_SENSITIVE_KEYS, options = {}) {
+  return (Array.isArray(sensitiveKeys) ? sensitiveKeys : sensitiveKeys.split(","))
+    .map((pattern) => pattern.trim())
+    .filter(Boolean)
+    .map((pattern) => {
+      if (pattern.startsWith("/")) {
+        const regex = compileKeyPattern(pattern);
+        return (key) => regex.test(key);
+      }
+      if (!options.lastSegment) {
+        const word = pattern.toLowerCase();
+        return (key) => getWords(key).includes(word);
+      }
+      const words = getWords(pattern);
+      return (key) => {
+        const keyWords = getLastSegmentWords(key);
+        return words.length > 0 && words.every((word, idx) => keyWords[keyWords.length - words.length + idx] === word);
+      };
+    });
+}
+
+/**
+ * Masks a secret value as a salted hash, so equal values still look equal.
+ * Missing and empty values are kept.
+ * @param {string|null} value - The value.
+ * @returns {string|null} - The masked value.
+ */
+function maskValue(value) {
+  if (value === null || value === "") {
+    return value;
+  }
+  const hash = crypto.createHash("sha256").update(MASK_SALT).update(value).digest("hex");
+  return `****** (sha256:${hash.slice(0, 12)})`;
+}
+
+/**
+ * Returns a copy of comparison data in which the values (and raw values and
+ * source text) of sensitive keys are masked, for use in reports. So are the values of
+ * other keys whose placeholders resolved to a sensitive key (`url=jdbc:...?p=${db.password}`);
+ * their raw values, which show only the placeholders, are kept.
+ * @param {Object} comparisonData - The output from compareFileData, compareWithBaseline or
+ *   compareDirectories.
+ * @param {Object} [options] - Report options.
+ * @param {boolean} [options.showSecrets] - Do not mask anything.
+ * @param {string|string[]} [options.sensitiveKeys] - Sensitive key patterns
+ *   (default: password, secret, token, key).
+ * @returns {Object} - The masked comparison data; masked entries get `masked: true`.
+ */
+function maskSecrets(comparisonData, options = {}) {
+  if (options.showSecrets) {
+    return comparisonData;
+  }
+  if (comparisonData.groups) {
+    return {
+      ...comparisonData,
+      groups: comparisonData.groups.map((group) =>
+        group.comparison ? { ...group, comparison: maskSecrets(group.comparison, options) } : group
+      ),
+    };
+  }
+  const matchers = resolveSensitiveKeys(options.sensitiveKeys);
+  const isSensitiveKey = (key) => matchers.some((matches) => matches(key));
+  const resolvesSecret = (entry) => entry.placeholderReferences?.flat().some(isSensitiveKey) ?? false;
+  const isSensitive = (entry) =>
+    !entry.masked && (isSensitiveKey(entry.key) || resolvesSecret(entry));
+  const hideSource = (location) => location && { ...location, raw: null };
+
+  if (comparisonData.targets) {
+    const maskEntry = (entry) =>
+      isSensitive(entry)
+        ? {
+          ...entry,
+          baselineValue: maskValue(entry.baselineValue),
+          value: maskValue(entry.value),
+          baselineLocation: hideSource(entry.baselineLocation),
+          location: hideSource(entry.location),
+          masked: true,
+        }
+        : entry;
+    return {
+      ...comparisonData,
+      targets: comparisonData.targets.map((target) => ({
+        ...target,
+        added: target.added.map(maskEntry),
+        removed: target.removed.map(maskEntry),
+        changed: target.changed.map(maskEntry),
+      })),
+    };
+  }
+
+  return {
+    ...comparisonData,
+    mismatchDetails: comparisonData.mismatchDetails.map((detail) => {
+      if (!isSensitive(detail)) {
+        return detail;
+      }
+      const masked = {
+        ...detail,
+        values: detail.values.map(maskValue),
+        locations: detail.locations?.map(hideSource),
+        masked: true,
+      };
+      if (detail.rawValues && isSensitiveKey(detail.key)) {
+        masked.rawValues = detail.rawValues.map(maskValue);
+      }
+      return masked;
+    }),
+  };
+}
+
+/**
+ * Known token formats, checked by `lint` (see lintFiles).
+ */
+const TOKEN_PATTERNS = [
+  { name: "AWS access key", pattern: /\b(AKIA|ASIA)[0-9A-Z]{16}\b/ },
+  { name: "GitHub token", pattern: /\b(gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/ },
+  { name: "GitLab token", pattern: /\bglpat-[A-Za-z0-9_-]{20,}/ },
+  { name: "Slack token", pattern: /\bxox[abeprs]-[A-Za-z0-9-]{10,}/ },
+  { name: "Stripe key", pattern: /\b[rs]k_live_[A-Za-z0-9]{16,}/ },
+  { name: "Google API key", pattern: /\bAIza[0-9A-Za-z_-]{35}/ },
+  { name: "npm token", pattern: /\bnpm_[A-Za-z0-9]{36}\b/ },
+  { name: "JSON Web Token", pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]+/ },
+];
+
+const PRIVATE_KEY_BLOCK = /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/;
+
+/**
+ * Strings of at least this many token characters are checked for entropy, and
+ * flagged at this many bits of entropy per character or more.
+ */
+const MIN_ENTROPY_LENGTH = 20;
+const MIN_ENTROPY_BITS = 4;
+const ENTROPY_CANDIDATE = new RegExp(`^[A-Za-z0-9+/=_-]{${MIN_ENTROPY_LENGTH},}$`);
+
+/**
+ * Shannon entropy of a string, in bits per character.
+ * @param {string} text - The string.
+ * @returns {number} - The entropy.
+ */
+function getEntropy(text) {
+  const counts = new Map();
+  for (const char of text) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / text.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Whether a value is kept out of the file: an `ENC(...)` value (Jasypt) or
+ * nothing but `${...}` placeholders.
+ * @param {string} value - The value.
+ * @returns {boolean} - True if the value holds no literal secret.
+ */
+function isExternalizedValue(value) {
+  const text = value.trim();
+  if (/^ENC\(.*\)$/s.test(text)) {
+    return true;
+  }
+  let i = 0;
+  while (text.startsWith("${", i)) {
+    const end = findPlaceholderEnd(text, i);
+    if (end === -1) {
+      return false;
+    }
+    i = end + 1;
+  }
+  return i > 0 && i === text.length;
+}
+
+/**
+ * Values that are no secret under a key that is not sensitive: numbers, booleans,
+ * `classpath:` and `file:` locations, and fully qualified class names (`key-serializer`
+ * values). Under a sensitive key, any literal value is flagged.
+ */
+const NON_SECRET_VALUES = [
+  /^[-+]?\d+(\.\d+)?$/,
+  /^(true|false)$/i,
+  /^(classpath\*?|file):/,
+  /^([a-z_$][\w$]*\.)+[A-Z][\w$]*$/,
+];
+
+/**
+ * Checks one value for signs of a hard-coded secret.
+ * @param {string} key - The key.
+ * @param {string} value - The value.
+ * @param {Function[]} sensitiveKeys - Matchers from resolveSensitiveKeys (with `lastSegment`).
+ * @returns {{ rule: string, message: string }|null} - The strongest finding, or null.
+ */
+function lintValue(key, value, sensitiveKeys) {
+  if (value === "" || isExternalizedValue(value)) {
+    return null;
+  }
+  if (PRIVATE_KEY_BLOCK.test(value)) {
+    return { rule: "private-key", message: "Private key block" };
+  }
+  const token = TOKEN_PATTERNS.find(({ pattern }) => pattern.test(value));
+  if (token) {
+    return { rule: "token", message: `${token.name} format` };
+  }
+  if (sensitiveKeys.some((matches) => matches(key))) {
+    return {
+      rule: "plaintext-secret",
+      message: "Plaintext value for a sensitive key; use a ${...} placeholder or ENC(...)",
+    };
+  }
+  if (NON_SECRET_VALUES.some((pattern) => pattern.test(value.trim()))) {
+    return null;
+  }
+  const candidates = value.split(/\s+/).filter((word) => ENTROPY_CANDIDATE.test(word));
+  const entropy = Math.max(0, ...candidates.map(getEntropy));
+  if (entropy >= MIN_ENTROPY_BITS) {
+    return {
+      rule: "high-entropy",
+      message: `High-entropy string (${entropy.toFixed(1)} bits per character)`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Reads every key of a file with its location. Unlike a comparison, all
+ * documents of a YAML file are read, whatever profile they belong to.
+ * @param {string} filePath - The file.
+ * @param {Object[]} parseErrors - Collects a `{ file, message }` entry per unparseable file.
+ * @param {string} [stdinFormat] - Format of standard input (see parseFile).
+ * @returns {{ key: string, value: string, location: Object|null }[]} - The entries.
+ */
+function readLintEntries(filePath, parseErrors, stdinFormat) {
+  const { format, content } = resolveFileFormat(filePath, { stdinFormat, parseErrors });
+  const documents =
+    format === "yaml"
+      ? parseYamlDocuments(filePath, { parseErrors, content })
+      : [parseFileAs(format, filePath, { withLocations: true, parseErrors, content })];
+  return documents.flatMap(({ values, locations }) =>
+    Object.entries(values).map(([key, value]) => ({
+      key,
+      value: String(value ?? ""),
+      location: locations[key] ?? null,
+    }))
+  );
+}
+
+/**
+ * Scans files for likely plaintext secrets: private key blocks, known token
+ * formats, literal values of sensitive keys (rather than `${...}` placeholders
+ * or `ENC(...)` values) and high-entropy strings.
+ * @param {string[]} filePaths - Files to scan; `a.yml+b.yml` stacks are scanned layer by layer.
+ * @param {Object} [options] - Lint options.
+ * @param {string|string[]} [options.sensitiveKeys] - Sensitive key patterns (see maskSecrets),
+ *   matched at the end of the last key segment (`db.password`, `api-key`, `client_secret`).
+ * @param {string} [options.stdinFormat] - Format of standard input (see parseFile).
+ * @returns {{ files: string[], findings: Object[], parseErrors: Object[] }} - One
+ *   `{ file, line, column, key, rule, message }` finding per flagged key, in file order.
+ *   `rule` is one of "private-key", "token", "plaintext-secret" or "high-entropy".
+ */
+function lintFiles(filePaths, options = {}) {
+  const sensitiveKeys = resolveSensitiveKeys(options.sensitiveKeys, { lastSegment: true });
+  const files = filePaths.flatMap(getLayerPaths);
+  const parseErrors = [];
+  const findings = files.flatMap((file) =>
+    readLintEntries(file, parseErrors, options.stdinFormat).flatMap(({ key, value, location }) => {
+      const finding = lintValue(key, value, sensitiveKeys);
+      return finding
+        ? [{ file, line: location?.line ?? null, column: location?.column ?? null, key, ...finding }]
+        : [];
+    })
+  );
+  return { files, findings, parseErrors };
+}
+
+/**
+ * Prints the findings of lintFiles, one `file:line:column` per line.
+ * @param {Object} lintData - The output from lintFiles.
+ */
+function printLintReport(lintData) {
+  const { files, findings } = lintData;
+  findings.forEach((finding) => {
+    console.log(
+      `${chalk.gray(formatLocation(finding))} ${chalk.red(finding.rule)} ${finding.key}: ${finding.message}`
+    );
+  });
+  if (findings.length > 0) {
+    const flaggedFiles = new Set(findings.map((finding) => finding.file)).size;
+    console.log(chalk.red(`\n${findings.length} potential secret(s) found in ${flaggedFiles} of ${files.length} file(s).`));
+  } else {
+    console.log(chalk.green(`No hard-coded secrets found in ${files.length} file(s).`));
+  }
+}
+
+/**
+ * Mismatched values are shown as a character-level diff when one of them is at
+ * least this long; shorter values are easier to read side by side.
+ */
+const DIFF_MIN_LENGTH = 20;
+
+/**
+ * Largest number of character pairs compared when diffing the differing middle
+ * of two values; beyond that the middle is shown as replaced as a whole.
+ */
+const DIFF_MAX_CELLS = 1_000_000;
+
+/**
+ * Computes a character-level diff that turns one value into another.
+ * @param {string} from - The reference value (first file or baseline).
+ * @param {string} to - The other value.
+ * @returns {{ type: "equal"|"delete"|"insert", text: string }[]} - Diff operations,
+ *   with adjacent operations of the same type merged.
+ */
+function diffChars(from, to) {
+  let prefix = 0;
+  while (prefix < from.length && prefix < to.length && from[prefix] === to[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < from.length - prefix &&
+    suffix < to.length - prefix &&
+    from[from.length - 1 - suffix] === to[to.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  const a = from.slice(prefix, from.length - suffix);
+  const b = to.slice(prefix, to.length - suffix);
+
+  const ops = [{ type: "equal", text: from.slice(0, prefix) }];
+  if (a.length * b.length > DIFF_MAX_CELLS) {
+    ops.push({ type: "delete", text: a }, { type: "insert", text: b });
+  } else {
+    // Longest common subsequence of the middles, walked from the start
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i * width + j] =
+          a[i] === b[j]
+            ? lengths[(i + 1) * width + j + 1] + 1
+            : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        ops.push({ type: "equal", text: a[i++] });
+        j++;
+      } else if (i < a.length && (j === b.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+        ops.push({ type: "delete", text: a[i++] });
+      } else {
+        ops.push({ type: "insert", text: b[j++] });
+      }
+    }
+  }
+  ops.push({ type: "equal", text: from.slice(from.length - suffix) });
+
+  return ops.reduce((merged, op) => {
+    if (op.text === "") {
+      return merged;
+    }
+    if (merged.length > 0 && merged.at(-1).type === op.type) {
+      merged.at(-1).text += op.text;
+    } else {
+      merged.push({ ...op });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Returns the diff of a value against its reference, when it is worth showing:
+ * both values are present and differ, and one is long (see DIFF_MIN_LENGTH).
+ * @param {string|null} from - The reference value (first file or baseline).
+ * @param {string|null} to - The value.
+ * @param {Object} [options] - Report options; `diff: false` turns diffs off.
+ * @returns {Object[]|null} - Diff operations (see diffChars), or null.
+ */
+function getValueDiff(from, to, options = {}) {
+  if (options.diff === false || !from || !to || from === to) {
+    return null;
+  }
+  return Math.max(from.length, to.length) >= DIFF_MIN_LENGTH ? diffChars(from, to) : null;
+}
+
+/**
+ * Renders diff operations in wdiff notation: `[-deleted-]{+inserted+}`.
+ * @param {Object[]} ops - Diff operations (see diffChars).
+ * @returns {string} - The rendered diff.
+ */
+function renderWdiff(ops) {
+  return ops
+    .map(({ type, text }) => {
+      if (type === "delete") {
+        return `[-${text}-]`;
+      }
+      return type === "insert" ? `{+${text}+}` : text;
+    })
+    .join("");
+}
+
+/**
+ * Renders diff operations for the console: deletions struck through in red,
+ * insertions underlined in green (in wdiff notation when colors are off).
+ * @param {Object[]} ops - Diff operations (see diffChars).
+ * @returns {string} - The rendered diff.
+ */
+function renderConsoleDiff(ops) {
+  if (chalk.level === 0) {
+    return renderWdiff(ops);
+  }
+  return ops
+    .map(({ type, text }) => {
+      if (type === "delete") {
+        return chalk.red.strikethrough(text);
+      }
+      return type === "insert" ? chalk.green.underline(text) : text;
+    })
+    .join("");
+}
+
+/**
+ * Renders diff operations as HTML with `<del>` and `<ins>` elements.
+ * @param {Object[]} ops - Diff operations (see diffChars).
+ * @returns {string} - The rendered diff.
+ */
+function renderHtmlDiff(ops) {
+  return ops
+    .map(({ type, text }) => {
+      if (type === "delete") {
+        return `<del>${escapeHtml(text)}</del>`;
+      }
+      return type === "insert" ? `<ins>${escapeHtml(text)}</ins>` : escapeHtml(text);
+    })
+    .join("");
+}
+
+/**
+ * Renders a Markdown `diff` code block for a value that differs from its
+ * reference: both values as `-`/`+` lines, then the character-level diff in
+ * wdiff notation.
+ * @param {string} fromLabel - Label of the reference value.
+ * @param {string} toLabel - Label of the value.
+ * @param {string} from - The reference value.
+ * @param {string} to - The value.
+ * @param {Object[]} ops - Diff operations (see diffChars).
+ * @returns {string} - The code block.
+ */
+function renderMarkdownDiff(fromLabel, toLabel, from, to, ops) {
+  const oneLine = (text) => text.replace(/\r\n|\r|\n/g, "⏎");
+  const lines = [
+    `--- ${oneLine(fromLabel)}`,
+    `+++ ${oneLine(toLabel)}`,
+    `- ${oneLine(from)}`,
+    `+ ${oneLine(to)}`,
+    `  ${oneLine(renderWdiff(ops))}`,
+  ];
+  const longestRun = Math.max(2, ...(lines.join("\n").match(/`+/g) || []).map((run) => run.length));
+  const fence = "`".repeat(longestRun + 1);
+  return `${fence}diff\n${lines.join("\n")}\n${fence}\n`;
+}
+
+/**
+ * Stylesheet shared by the HTML reports.
+ */
+const HTML_REPORT_STYLES = `
+    body { font-family: Arial, sans-serif; margin: 20px; line-height: 1.6; color: #333; }
+    h1, h2 { color: #0066cc; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 20px; }
+    th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
+    th { background-color: #f2f2f2; cursor: pointer; }
+    tr:first-child th { position: sticky; top: 0; z-index: 1; }
+    th[aria-sort="ascending"]::after { content: " ▲"; }
+    th[aria-sort="descending"]::after { content: " ▼"; }
+    tr.group th { background-color: #e8f0fa; user-select: none; }
+    tr:nth-child(even) { background-color: #f9f9f9; }
+    tr:hover { background-color: #f2f2f2; }
+    .mismatch { background-color: #ffe6e6; }
+    .matched { background-color: #e6ffe6; }
+    .value-mismatch { color: #cc0000; font-weight: bold; }
+    .raw { display: block; color: #666; font-weight: normal; }
+    .location { display: block; color: #666; font-weight: normal; font-family: monospace; }
+    .issue { display: block; color: #666; }
+    .missing { color: #999; }
+    .empty { color: #996600; }
     .summary { margin: 20px 0; padding: 15px; border-radius: 5px; }
     .summary.success { background-color: #e6ffe6; border: 1px solid #99cc99; }
     .summary.error { background-color: #ffe6e6; border: 1px solid #cc9999; }
     .file-list { margin-bottom: 20px; }
-  </style>
-</head>
+    .added { background-color: #e6ffe6; }
+    .removed { background-color: #ffe6e6; }
+    .changed { background-color: #fff5e6; }
+    .accepted { background-color: #fffbe6; }
+    .toolbar { display: flex; gap: 16px; align-items: center; margin-bottom: 12px; }
+    .toolbar input[type="search"] { padding: 4px 8px; min-width: 240px; }
+    del { background-color: #ffc2c2; color: #990000; }
+    ins { background-color: #c2f0c2; color: #006600; text-decoration: none; }
+    pre.diff { background-color: #f6f8fa; padding: 8px; white-space: pre-wrap; }
+  `;
+
+/**
+ * Script of the interactive HTML report: filters rows by status and key,
+ * groups them by key prefix (collapsible) and sorts by any column. The report
+ * works without it.
+ */
+const HTML_REPORT_SCRIPT = `
+  (function () {
+    var search = document.getElementById("key-search");
+    var filter = document.getElementById("row-filter");
+    var grouping = document.getElementById("group-by-prefix");
+    var tables = Array.prototype.slice.call(document.querySelectorAll("table"));
+    var collapsed = {};
+
+    function keyOf(row) {
+      return row.cells[0].textContent;
+    }
+    function prefixOf(key) {
+      var match = /^[^.[]+/.exec(key);
+      return match ? match[0] : key;
+    }
+    function dataRows(table) {
+      return Array.prototype.slice.call(table.rows, 1).filter(function (row) {
+        return !row.classList.contains("group");
+      });
+    }
+    function isShown(row) {
+      var mode = filter.value;
+      if (mode === "mismatch" && (row.classList.contains("matched") || row.classList.contains("accepted"))) {
+        return false;
+      }
+      if (mode === "missing" && !row.querySelector("em.missing")) {
+        return false;
+      }
+      return keyOf(row).toLowerCase().indexOf(search.value.trim().toLowerCase()) !== -1;
+    }
+
+    function update() {
+      tables.forEach(function (table) {
+        var counts = {};
+        dataRows(table).forEach(function (row) {
+          var prefix = prefixOf(keyOf(row));
+          var shown = isShown(row);
+          counts[prefix] = (counts[prefix] || 0) + (shown ? 1 : 0);
+          row.hidden = !shown || (grouping.checked && collapsed[prefix] === true);
+        });
+        Array.prototype.forEach.call(table.querySelectorAll("tr.group"), function (row) {
+          var prefix = row.getAttribute("data-prefix");
+          row.hidden = !counts[prefix];
+          row.cells[0].textContent = (collapsed[prefix] ? "▸ " : "▾ ") + prefix + ".* (" + (counts[prefix] || 0) + ")";
+        });
+      });
+    }
+
+    function layout(table) {
+      Array.prototype.forEach.call(table.querySelectorAll("tr.group"), function (row) {
+        row.remove();
+      });
+      var rows = dataRows(table);
+      var body = rows.length > 0 ? rows[0].parentNode : null;
+      if (grouping.checked && body) {
+        var groups = {};
+        var order = [];
+        rows.forEach(function (row) {
+          var prefix = prefixOf(keyOf(row));
+          if (!groups[prefix]) {
+            groups[prefix] = [];
+            order.push(prefix);
+          }
+          groups[prefix].push(row);
+        });
+        order.forEach(function (prefix) {
+          var header = document.createElement("tr");
+          var cell = document.createElement("th");
+          header.className = "group";
+          header.setAttribute("data-prefix", prefix);
+          cell.colSpan = table.rows[0].cells.length;
+          header.appendChild(cell);
+          header.addEventListener("click", function () {
+            collapsed[prefix] = !collapsed[prefix];
+            update();
+          });
+          body.appendChild(header);
+          groups[prefix].forEach(function (row) {
+            body.appendChild(row);
+          });
+        });
+      }
+      update();
+    }
+
+    function sortBy(table, column, header) {
+      var descending = header.getAttribute("aria-sort") === "ascending";
+      Array.prototype.forEach.call(table.rows[0].cells, function (cell) {
+        cell.removeAttribute("aria-sort");
+      });
+      header.setAttribute("aria-sort", descending ? "descending" : "ascending");
+      var rows = dataRows(table);
+      var body = rows.length > 0 ? rows[0].parentNode : null;
+      rows
+        .sort(function (a, b) {
+          var order = a.cells[column].textContent.localeCompare(b.cells[column].textContent, undefined, { numeric: true });
+          return descending ? -order : order;
+        })
+        .forEach(function (row) {
+          body.appendChild(row);
+        });
+      layout(table);
+    }
+
+    tables.forEach(function (table) {
+      Array.prototype.forEach.call(table.rows[0].cells, function (header, column) {
+        header.addEventListener("click", function () {
+          sortBy(table, column, header);
+        });
+      });
+    });
+    search.addEventListener("input", update);
+    filter.addEventListener("change", update);
+    grouping.addEventListener("change", function () {
+      tables.forEach(layout);
+    });
+    document.getElementById("report-toolbar").hidden = false;
+  })();
+  `;
+
+/**
+ * Controls of the interactive HTML report, shown once its script runs.
+ */
+const HTML_REPORT_TOOLBAR = `<div class="toolbar" id="report-toolbar" hidden>
+    <input type="search" id="key-search" placeholder="Search keys" aria-label="Search keys">
+    <select id="row-filter" aria-label="Rows">
+      <option value="all">All keys</option>
+      <option value="mismatch">Only mismatches</option>
+      <option value="missing">Only missing keys</option>
+    </select>
+    <label><input type="checkbox" id="group-by-prefix"> Group by prefix</label>
+  </div>`;
+
+/**
+ * Content-Security-Policy of the HTML reports: nothing may be loaded or run,
+ * except the report's own stylesheet and script (allowed by their hashes).
+ */
+const HTML_REPORT_CSP = [
+  "default-src 'none'",
+  `style-src 'sha256-${crypto.createHash("sha256").update(HTML_REPORT_STYLES).digest("base64")}'`,
+  `script-src 'sha256-${crypto.createHash("sha256").update(HTML_REPORT_SCRIPT).digest("base64")}'`,
+  "base-uri 'none'",
+  "form-action 'none'",
+].join("; ");
+
+/**
+ * Renders the `<head>` shared by the HTML reports.
+ * @returns {string} - The head element.
+ */
+function renderHtmlHead() {
+  return `<head>
+  <meta charset="UTF-8">
+  <meta http-equiv="Content-Security-Policy" content="${HTML_REPORT_CSP}">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Properties Comparison Report</title>
+  <style>${HTML_REPORT_STYLES}</style>
+</head>`;
+}
+
+/**
+ * Wraps report markup in the HTML document shared by all reports.
+ * @param {string} body - Markup of the report, below its title.
+ * @returns {string} - HTML document as string.
+ */
+function renderHtmlDocument(body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+${renderHtmlHead()}
 <body>
   <h1>Properties Comparison Report</h1>
-  
+${body}
+  <script>${HTML_REPORT_SCRIPT}</script>
+</body>
+</html>`;
+}
+
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+
+/**
+ * Escapes text for HTML element content and attribute values.
+ * @param {*} text - The text (converted to a string).
+ * @returns {string} - The escaped text.
+ */
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Escapes text for Markdown, including table cells: characters with Markdown or
+ * HTML meaning are backslash-escaped, entity-like `&` becomes `&amp;` and line
+ * breaks become `<br>`, so a value always stays on its table row.
+ * @param {*} text - The text (converted to a string).
+ * @returns {string} - The escaped text.
+ */
+function escapeMarkdown(text) {
+  return String(text)
+    .replace(/[\\`*|<>[\]~]|(?<![A-Za-z0-9])_|_(?![A-Za-z0-9])/g, "\\$&")
+    .replace(/&(?=#?[A-Za-z0-9]+;)/g, "&amp;")
+    .replace(/\r\n|\r|\n/g, "<br>");
+}
+
+/**
+ * Renders text as a Markdown code span that is safe in a table cell: the fence
+ * is longer than any backtick run in the text, `|` is escaped and line breaks
+ * become spaces.
+ * @param {*} text - The text (converted to a string).
+ * @returns {string} - The code span.
+ */
+function markdownCode(text) {
+  const content = String(text).replace(/\r\n|\r|\n/g, " ").replace(/\|/g, "\\|");
+  const longestRun = Math.max(0, ...(content.match(/`+/g) || []).map((run) => run.length));
+  const fence = "`".repeat(longestRun + 1);
+  const padding = /^`|`$|^ .* $/.test(content) ? " " : "";
+  return `${fence}${padding}${content}${padding}${fence}`;
+}
+
+/**
+ * Renders a value for an HTML report cell, labelling missing and empty values.
+ * @param {string|null} value - The value.
+ * @returns {string} - The cell content.
+ */
+function formatHtmlValue(value) {
+  if (value === null) {
+    return `<em class="missing">${MISSING_LABEL}</em>`;
+  }
+  if (value === "") {
+    return `<em class="empty">${EMPTY_LABEL}</em>`;
+  }
+  return escapeHtml(value);
+}
+
+/**
+ * Renders a value for a Markdown report cell, labelling missing and empty values.
+ * @param {string|null} value - The value.
+ * @returns {string} - The cell content.
+ */
+function formatMarkdownValue(value) {
+  if (value === null) {
+    return `*${MISSING_LABEL}*`;
+  }
+  if (value === "") {
+    return `*${EMPTY_LABEL}*`;
+  }
+  return escapeMarkdown(value);
+}
+
+/**
+ * Generates the HTML report of a baseline comparison, with one section per target.
+ * @param {Object} baselineData - The output from compareWithBaseline function.
+ * @param {Object} [options] - Report options (`diff: false` turns value diffs off).
+ * @returns {string} - HTML document as string.
+ */
+function generateBaselineHtmlReport(baselineData, options = {}) {
+  const { baseline, targets } = baselineData;
+  const cell = (value, location, diff = null) =>
+    `<td>${diff ? renderHtmlDiff(diff) : formatHtmlValue(value)}${location ? `<small class="location">${escapeHtml(formatLocation(location))}</small>` : ""}</td>`;
+
+  let html = `
+  <div class="file-list">
+    <h2>Baseline:</h2>
+    <p>${escapeHtml(baseline.label)} <small>(${escapeHtml(baseline.path)})</small></p>
+  </div>
+
+  ${HTML_REPORT_TOOLBAR}`;
+  if (baselineData.ignoredKeys.length > 0) {
+    html += `\n  <p><strong>Ignored keys:</strong> ${escapeHtml(baselineData.ignoredKeys.join(", "))}</p>`;
+  }
+  const expiredEntries = listExpiredEntries(baselineData.expiredAllowlistEntries);
+  if (expiredEntries.length > 0) {
+    html += `\n  <div class="summary error"><p><strong>Expired allowlist entries:</strong> ${escapeHtml(expiredEntries.join(", "))}</p></div>`;
+  }
+
+  targets.forEach((target, idx) => {
+    const changed = BASELINE_CHANGES.some((change) => target[change].length > 0);
+    const open = BASELINE_CHANGES.some((change) => target[change].some((entry) => !entry.accepted));
+    html += `\n
+  <h2>Target ${idx + 1}: ${escapeHtml(target.file.label)} <small>(${escapeHtml(target.file.path)})</small></h2>
+  <div class="summary ${open ? "error" : "success"}">
+    <p>${changed ? `${describeBaselineCounts(target)}.` : "No differences from the baseline."}</p>
+  </div>`;
+    if (changed) {
+      html += `\n  <table>
+    <tr>
+      <th>Key</th>
+      <th>Change</th>
+      <th>Baseline</th>
+      <th>Target</th>
+    </tr>`;
+      BASELINE_CHANGES.forEach((change) => {
+        target[change].forEach((entry) => {
+          html += `\n    <tr class="${entry.accepted ? "accepted" : change}">
+      <td>${escapeHtml(entry.key)}</td>
+      <td>${escapeHtml(describeBaselineChange(change, entry))}</td>
+      ${cell(entry.baselineValue, entry.baselineLocation)}
+      ${cell(
+        entry.value,
+        entry.location,
+        entry.masked ? null : getValueDiff(entry.baselineValue, entry.value, options)
+      )}
+    </tr>`;
+        });
+      });
+      html += `\n  </table>`;
+    }
+  });
+
+  return renderHtmlDocument(html);
+}
+
+/**
+ * Generates the Markdown report of a baseline comparison, with one section per target.
+ * @param {Object} baselineData - The output from compareWithBaseline function.
+ * @param {Object} [options] - Report options (`diff: false` turns value diffs off).
+ * @returns {string} - Markdown document as string.
+ */
+function generateBaselineMarkdownReport(baselineData, options = {}) {
+  const { baseline, targets } = baselineData;
+  const cell = (value, location) => {
+    const formatted = formatMarkdownValue(value);
+    return location ? `${formatted} ${markdownCode(formatLocation(location))}` : formatted;
+  };
+
+  let markdown = `# Properties Comparison Report\n\n`;
+  markdown += `## Baseline\n\n${escapeMarkdown(baseline.label)} (${escapeMarkdown(baseline.path)})\n`;
+  if (baselineData.ignoredKeys.length > 0) {
+    markdown += `\n**Ignored keys:** ${escapeMarkdown(baselineData.ignoredKeys.join(", "))}\n`;
+  }
+  const expiredEntries = listExpiredEntries(baselineData.expiredAllowlistEntries);
+  if (expiredEntries.length > 0) {
+    markdown += `\n❌ **Expired allowlist entries:** ${escapeMarkdown(expiredEntries.join(", "))}\n`;
+  }
+
+  targets.forEach((target, idx) => {
+    markdown += `\n## Target ${idx + 1}: ${escapeMarkdown(target.file.label)} (${escapeMarkdown(target.file.path)})\n\n`;
+    if (!BASELINE_CHANGES.some((change) => target[change].length > 0)) {
+      markdown += `✅ No differences from the baseline.\n`;
+      return;
+    }
+    const open = BASELINE_CHANGES.some((change) => target[change].some((entry) => !entry.accepted));
+    markdown += `${open ? "❌" : "✅"} ${describeBaselineCounts(target)}.\n\n`;
+    markdown += `| Key | Change | Baseline | Target |\n| --- | --- | --- | --- |\n`;
+    BASELINE_CHANGES.forEach((change) => {
+      target[change].forEach((entry) => {
+        markdown += `| ${escapeMarkdown(entry.key)} | ${escapeMarkdown(describeBaselineChange(change, entry))} | ${cell(entry.baselineValue, entry.baselineLocation)} | ${cell(
+          entry.value,
+          entry.location
+        )} |\n`;
+      });
+    });
+    const diffs = target.changed.flatMap((entry) => {
+      const diff = entry.masked ? null : getValueDiff(entry.baselineValue, entry.value, options);
+      return diff
+        ? [`\n**${escapeMarkdown(entry.key)}**\n\n${renderMarkdownDiff(
+          `Baseline: ${baseline.label}`,
+          `Target: ${target.file.label}`,
+          entry.baselineValue,
+          entry.value,
+          diff
+        )}`]
+        : [];
+    });
+    if (diffs.length > 0) {
+      markdown += `\n### Value Differences\n${diffs.join("")}`;
+    }
+  });
+
+  return markdown;
+}
+
+/**
+ * Prints the console report of a baseline comparison, with one section per target.
+ * @param {Object} baselineData - The output from compareWithBaseline function.
+ * @param {Object} [options] - Report options (`diff: false` turns value diffs off).
+ */
+function printBaselineReport(baselineData, options = {}) {
+  const { baseline, targets } = baselineData;
+  const located = (text, location, entry) =>
+    text +
+    (location ? chalk.gray(` (${formatLocation(location)})`) : "") +
+    (entry.accepted ? chalk.green(` [accepted: ${entry.accepted.reason}]`) : "");
+
+  console.log(`Comparing against baseline: ${baseline.label} (${baseline.path})`);
+  if (baselineData.ignoredKeys.length > 0) {
+    console.log("Ignored keys:", baselineData.ignoredKeys.join(", "));
+  }
+  const expiredEntries = listExpiredEntries(baselineData.expiredAllowlistEntries);
+  if (expiredEntries.length > 0) {
+    console.log(chalk.red("Expired allowlist entries:"), expiredEntries.join(", "));
+  }
+  targets.forEach((target, idx) => {
+    console.log(`\n=== Target ${idx + 1}: ${target.file.label} (${target.file.path}) ===`);
+    target.added.forEach((entry) => {
+      console.log(
+        located(chalk.green(`+ ${entry.key}: ${displayValue(entry.value)}`), entry.location, entry)
+      );
+    });
+    target.removed.forEach((entry) => {
+      console.log(
+        located(
+          chalk.red(`- ${entry.key}: ${displayValue(entry.baselineValue)}`),
+          entry.baselineLocation,
+          entry
+        )
+      );
+    });
+    target.changed.forEach((entry) => {
+      const diff = entry.masked ? null : getValueDiff(entry.baselineValue, entry.value, options);
+      const change = diff
+        ? chalk.yellow(`~ ${entry.key}: `) + renderConsoleDiff(diff)
+        : chalk.yellow(
+          `~ ${entry.key}: ${displayValue(entry.baselineValue)} -> ${displayValue(entry.value)}`
+        );
+      console.log(located(change, entry.location, entry));
+    });
+    if (BASELINE_CHANGES.some((change) => target[change].length > 0)) {
+      console.log(`${describeBaselineCounts(target)}.`);
+    } else {
+      console.log("No differences from the baseline.");
+    }
+  });
+}
+
+/**
+ * Generates an HTML report for the comparison results.
+ *
+ * @param {Array} filePaths - Array of file paths that were compared
+ * @param {Object} comparisonData - The output from compareFileData function
+ *   (or compareWithBaseline, giving one section per target)
+ * @param {Object} [options] - Secret masking options (see maskSecrets), and `diff: false`
+ *   to show long mismatched values in full instead of as a diff against the first file
+ * @returns {string} - HTML document as string
+ */
+function generateHtmlReport(filePaths, comparisonData, options = {}) {
+  comparisonData = maskSecrets(comparisonData, options);
+  if (comparisonData.targets) {
+    return generateBaselineHtmlReport(comparisonData, options);
+  }
+  if (comparisonData.groups) {
+    return generateDirectoryHtmlReport(comparisonData, options);
+  }
+  return renderHtmlDocument(
+    renderHtmlComparison(getReportFiles(filePaths, comparisonData), comparisonData, options)
+  );
+}
+
+/**
+ * Renders the file list, table and summary of a comparison as HTML.
+ * @param {{ path: string, label: string }[]} files - The compared columns.
+ * @param {Object} comparisonData - The output from compareFileData function.
+ * @param {Object} [options] - Report options (see generateHtmlReport).
+ * @param {boolean} [toolbar=true] - Include the interactive report controls.
+ * @returns {string} - The markup.
+ */
+function renderHtmlComparison(files, comparisonData, options = {}, toolbar = true) {
+  const { mismatchCount, mismatchDetails } = comparisonData;
+  const fileNames = files.map((file) => file.label);
+  const acceptedDifferences = listAcceptedDifferences(mismatchDetails);
+  const expiredEntries = listExpiredEntries(comparisonData.expiredAllowlistEntries);
+
+  let html = `
   <div class="file-list">
     <h2>Files Compared:</h2>
     <ol>
       ${fileNames
       .map(
-        (name, idx) => `<li>${name} <small>(${filePaths[idx]})</small></li>`
+        (name, idx) => `<li>${escapeHtml(name)} <small>(${escapeHtml(files[idx].path)})</small></li>`
       )
       .join("\n      ")}
     </ol>
   </div>
 
-  <h2>Comparison Results</h2>
-  <table>
-    <tr>
-      <th>Key</th>
-      <th>Matched</th>
-      ${fileNames
-      .map((name, idx) => `<th>File ${idx + 1}: ${name}</th>`)
-      .join("\n      ")}
-    </tr>`;
+  <h2>Comparison Results</h2>${toolbar ? `\n  ${HTML_REPORT_TOOLBAR}` : ""}
+  <table>
+    <tr>
+      <th>Key</th>
+      <th>Matched</th>
+      ${fileNames
+      .map((name, idx) => `<th>File ${idx + 1}: ${escapeHtml(name)}</th>`)
+      .join("\n      ")}
+    </tr>`;
+
+  // Add table rows for each key
+  mismatchDetails.forEach((detail) => {
+    const { key, values, matched, issues, locations = [], accepted } = detail;
+    let status = matched ? "Yes" : `No<small class="issue">${escapeHtml(describeIssues(issues))}</small>`;
+    if (accepted) {
+      status = `Accepted<small class="issue">${escapeHtml(`${describeIssues(issues)}: ${accepted.reason}`)}</small>`;
+    }
+    html += `\n    <tr class="${matched ? "matched" : accepted ? "accepted" : "mismatch"}">
+      <td>${escapeHtml(key)}</td>
+      <td>${status}</td>`;
+
+    // Add values from each file
+    values.forEach((value, idx) => {
+      const cellClass = isOpenMismatch(detail) ? "value-mismatch" : "";
+      const location = matched ? "" : formatLocation(locations[idx]);
+      const raw = matched ? null : getRawValue(detail, idx);
+      const diff = matched || detail.masked || idx === 0 ? null : getValueDiff(values[0], value, options);
+      const content = diff ? renderHtmlDiff(diff) : formatHtmlValue(value);
+      html += `\n      <td class="${cellClass}">${content}${raw === null ? "" : `<small class="raw">raw: ${escapeHtml(raw)}</small>`
+        }${location ? `<small class="location">${escapeHtml(location)}</small>` : ""
+        }</td>`;
+    });
+
+    html += `\n    </tr>`;
+  });
+
+  html += `\n  </table>
+
+  <div class="summary ${mismatchCount === 0 && expiredEntries.length === 0 ? "success" : "error"}">
+    <h2>Summary</h2>`;
+
+  if (mismatchCount === 0 && acceptedDifferences.length === 0) {
+    html += `\n    <p>All properties match across all files!</p>`;
+  } else if (mismatchCount === 0) {
+    html += `\n    <p>No unexpected differences.</p>`;
+  } else {
+    html += `\n    <p>${mismatchCount} key(s) have mismatched values.</p>
+    <p><strong>Mismatched keys:</strong> ${escapeHtml(
+      mismatchDetails
+        .filter(isOpenMismatch)
+        .map((detail) => detail.key)
+        .join(", ")
+    )}</p>`;
+    Object.entries(groupKeysByIssue(mismatchDetails)).forEach(([type, keys]) => {
+      if (keys.length > 0) {
+        html += `\n    <p><strong>${ISSUE_HEADINGS[type]}:</strong> ${escapeHtml(keys.join(", "))}</p>`;
+      }
+    });
+  }
+  const placeholderErrors = listPlaceholderErrors(mismatchDetails);
+  if (placeholderErrors.length > 0) {
+    html += `\n    <p><strong>Unresolved placeholders:</strong> ${escapeHtml(placeholderErrors.join(", "))}</p>`;
+  }
+  if (acceptedDifferences.length > 0) {
+    html += `\n    <p><strong>Accepted differences:</strong> ${escapeHtml(acceptedDifferences.join(", "))}</p>`;
+  }
+  if (expiredEntries.length > 0) {
+    html += `\n    <p><strong>Expired allowlist entries:</strong> ${escapeHtml(expiredEntries.join(", "))}</p>`;
+  }
+  if (comparisonData.ignoredKeys?.length > 0) {
+    html += `\n    <p><strong>Ignored keys:</strong> ${escapeHtml(comparisonData.ignoredKeys.join(", "))}</p>`;
+  }
+
+  html += `\n  </div>`;
+
+  return html;
+}
+
+/**
+ * Generates a Markdown report for the comparison results.
+ *
+ * @param {Array} filePaths - Array of file paths that were compared
+ * @param {Object} comparisonData - The output from compareFileData function
+ *   (or compareWithBaseline, giving one section per target)
+ * @param {Object} [options] - Secret masking options (see maskSecrets), and `diff: false`
+ *   to leave out the diffs of long mismatched values
+ * @returns {string} - Markdown document as string
+ */
+function generateMarkdownReport(filePaths, comparisonData, options = {}) {
+  comparisonData = maskSecrets(comparisonData, options);
+  if (comparisonData.targets) {
+    return generateBaselineMarkdownReport(comparisonData, options);
+  }
+  if (comparisonData.groups) {
+    return generateDirectoryMarkdownReport(comparisonData, options);
+  }
+  const { mismatchCount, mismatchDetails } = comparisonData;
+  const files = getReportFiles(filePaths, comparisonData);
+  const fileNames = files.map((file) => file.label);
+  const acceptedDifferences = listAcceptedDifferences(mismatchDetails);
+  const expiredEntries = listExpiredEntries(comparisonData.expiredAllowlistEntries);
+
+  let markdown = `# Properties Comparison Report\n\n`;
+
+  // Files compared
+  markdown += `## Files Compared\n\n`;
+  files.forEach((file, idx) => {
+    markdown += `${idx + 1}. ${escapeMarkdown(fileNames[idx])} (${escapeMarkdown(file.path)})\n`;
+  });
+
+  // Comparison results table
+  markdown += `\n## Comparison Results\n\n`;
+
+  // Table header
+  markdown += `| Key | Matched | ${fileNames
+    .map((name, idx) => `File ${idx + 1}: ${escapeMarkdown(name)}`)
+    .join(" | ")} |\n`;
+  markdown += `| --- | --- | ${fileNames.map(() => "---").join(" | ")} |\n`;
+
+  // Table content
+  mismatchDetails.forEach((detail) => {
+    const { key, values, matched, issues, locations = [], accepted } = detail;
+    let status = matched ? "Yes" : `No (${escapeMarkdown(describeIssues(issues))})`;
+    if (accepted) {
+      status = `Accepted (${escapeMarkdown(`${describeIssues(issues)}: ${accepted.reason}`)})`;
+    }
+    markdown += `| ${escapeMarkdown(key)} | ${status} | ${values
+      .map((v, idx) => {
+        let cell = formatMarkdownValue(v);
+        const raw = matched ? null : getRawValue(detail, idx);
+        if (raw !== null) {
+          cell += ` (raw: ${markdownCode(raw)})`;
+        }
+        const location = matched ? "" : formatLocation(locations[idx]);
+        return location ? `${cell} ${markdownCode(location)}` : cell;
+      })
+      .join(" | ")} |\n`;
+  });
+
+  // Character-level diffs of long values, relative to the first file
+  const diffs = mismatchDetails.flatMap((detail) => {
+    if (detail.matched || detail.masked) {
+      return [];
+    }
+    const blocks = detail.values.slice(1).flatMap((value, idx) => {
+      const diff = getValueDiff(detail.values[0], value, options);
+      return diff
+        ? [renderMarkdownDiff(`File 1: ${fileNames[0]}`, `File ${idx + 2}: ${fileNames[idx + 1]}`, detail.values[0], value, diff)]
+        : [];
+    });
+    return blocks.length > 0 ? [`\n**${escapeMarkdown(detail.key)}**\n\n${blocks.join("\n")}`] : [];
+  });
+  if (diffs.length > 0) {
+    markdown += `\n## Value Differences\n${diffs.join("")}`;
+  }
+
+  // Summary
+  markdown += `\n## Summary\n\n`;
+  if (mismatchCount === 0 && acceptedDifferences.length === 0) {
+    markdown += `✅ All properties match across all files!\n`;
+  } else if (mismatchCount === 0) {
+    markdown += `✅ No unexpected differences.\n`;
+  } else {
+    markdown += `❌ ${mismatchCount} key(s) have mismatched values.\n\n`;
+    markdown += `**Mismatched keys:** ${escapeMarkdown(
+      mismatchDetails
+        .filter(isOpenMismatch)
+        .map((detail) => detail.key)
+        .join(", ")
+    )}\n`;
+    Object.entries(groupKeysByIssue(mismatchDetails)).forEach(([type, keys]) => {
+      if (keys.length > 0) {
+        markdown += `\n**${ISSUE_HEADINGS[type]}:** ${escapeMarkdown(keys.join(", "))}\n`;
+      }
+    });
+  }
+  const placeholderErrors = listPlaceholderErrors(mismatchDetails);
+  if (placeholderErrors.length > 0) {
+    markdown += `\n**Unresolved placeholders:** ${escapeMarkdown(placeholderErrors.join(", "))}\n`;
+  }
+  if (acceptedDifferences.length > 0) {
+    markdown += `\n**Accepted differences:** ${escapeMarkdown(acceptedDifferences.join(", "))}\n`;
+  }
+  if (expiredEntries.length > 0) {
+    markdown += `\n❌ **Expired allowlist entries:** ${escapeMarkdown(expiredEntries.join(", "))}\n`;
+  }
+  if (comparisonData.ignoredKeys?.length > 0) {
+    markdown += `\n**Ignored keys:** ${escapeMarkdown(comparisonData.ignoredKeys.join(", "))}\n`;
+  }
+
+  return markdown;
+}
+
+/**
+ * Describes the outcome for one file of a directory comparison, e.g.
+ * "2 mismatched key(s); missing in qa".
+ * @param {Object} group - A group from compareDirectories.
+ * @param {Object[]} directories - The directories from compareDirectories.
+ * @returns {string} - The description.
+ */
+function describeDirectoryGroup(group, directories) {
+  const missing = listMissingDirectories(group, directories);
+  const parts = [];
+  if (group.comparison) {
+    const { mismatchCount, acceptedCount } = group.comparison;
+    if (mismatchCount > 0) {
+      parts.push(`${mismatchCount} mismatched key(s)`);
+    } else {
+      parts.push(acceptedCount > 0 ? "no unexpected differences" : "identical");
+    }
+  } else {
+    parts.push(`only in ${group.files.flatMap((file, idx) => (file ? [directories[idx].label] : [])).join(", ")}`);
+  }
+  if (group.comparison && missing.length > 0) {
+    parts.push(`missing in ${missing.join(", ")}`);
+  }
+  return parts.join("; ");
+}
+
+/**
+ * Whether a file of a directory comparison differs: it is missing somewhere or
+ * has unaccepted mismatches.
+ * @param {Object} group - A group from compareDirectories.
+ * @returns {boolean} - True if the file differs.
+ */
+function isDifferentGroup(group) {
+  return group.files.includes(null) || group.comparison.mismatchCount > 0;
+}
+
+/**
+ * Generates the combined HTML report of a directory comparison: an index of all
+ * files, then one section per file compared in two or more directories.
+ * @param {Object} directoryData - The output from compareDirectories function.
+ * @param {Object} [options] - Report options (see generateHtmlReport).
+ * @returns {string} - HTML document as string.
+ */
+function generateDirectoryHtmlReport(directoryData, options = {}) {
+  const { directories, groups } = directoryData;
+  let html = `
+  <div class="file-list">
+    <h2>Directories Compared:</h2>
+    <ol>
+      ${directories
+      .map((dir) => `<li>${escapeHtml(dir.label)} <small>(${escapeHtml(dir.path)})</small></li>`)
+      .join("\n      ")}
+    </ol>
+  </div>
+
+  <h2>Files</h2>
+  ${HTML_REPORT_TOOLBAR}
+  <table>
+    <tr>
+      <th>File</th>
+      <th>Status</th>
+      ${directories.map((dir) => `<th>${escapeHtml(dir.label)}</th>`).join("\n      ")}
+    </tr>`;
+  groups.forEach((group, idx) => {
+    const name = group.comparison
+      ? `<a href="#file-${idx + 1}">${escapeHtml(group.name)}</a>`
+      : escapeHtml(group.name);
+    html += `\n    <tr class="${isDifferentGroup(group) ? "mismatch" : "matched"}">
+      <td>${name}</td>
+      <td>${escapeHtml(describeDirectoryGroup(group, directories))}</td>
+      ${group.files
+      .map((file) => `<td>${file === null ? formatHtmlValue(null) : "✓"}</td>`)
+      .join("\n      ")}
+    </tr>`;
+  });
+  html += `\n  </table>`;
+
+  groups.forEach((group, idx) => {
+    if (group.comparison) {
+      html += `\n
+  <section id="file-${idx + 1}">
+  <h2>${escapeHtml(group.name)}</h2>${renderHtmlComparison(group.comparison.files, group.comparison, options, false)}
+  </section>`;
+    }
+  });
+
+  return renderHtmlDocument(html);
+}
+
+/**
+ * Builds the anchor GitHub gives a Markdown heading.
+ * @param {string} heading - The heading text, as rendered.
+ * @returns {string} - The anchor, without "#".
+ */
+function getMarkdownAnchor(heading) {
+  return heading
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, "")
+    .replace(/\s/g, "-");
+}
+
+/**
+ * Generates the combined Markdown report of a directory comparison: an index of
+ * all files, then one section per file compared in two or more directories.
+ * @param {Object} directoryData - The output from compareDirectories function.
+ * @param {Object} [options] - Report options (see generateMarkdownReport).
+ * @returns {string} - Markdown document as string.
+ */
+function generateDirectoryMarkdownReport(directoryData, options = {}) {
+  const { directories, groups } = directoryData;
+  let markdown = `# Properties Comparison Report\n\n## Directories Compared\n\n`;
+  directories.forEach((dir, idx) => {
+    markdown += `${idx + 1}. ${escapeMarkdown(dir.label)} (${escapeMarkdown(dir.path)})\n`;
+  });
+
+  markdown += `\n## Files\n\n`;
+  markdown += `| File | Status | ${directories.map((dir) => escapeMarkdown(dir.label)).join(" | ")} |\n`;
+  markdown += `| --- | --- | ${directories.map(() => "---").join(" | ")} |\n`;
+  groups.forEach((group) => {
+    const name = group.comparison
+      ? `[${escapeMarkdown(group.name)}](#${getMarkdownAnchor(group.name)})`
+      : escapeMarkdown(group.name);
+    markdown += `| ${name} | ${isDifferentGroup(group) ? "❌" : "✅"} ${escapeMarkdown(
+      describeDirectoryGroup(group, directories)
+    )} | ${group.files.map((file) => (file === null ? formatMarkdownValue(null) : "✓")).join(" | ")} |\n`;
+  });
+
+  groups.forEach((group) => {
+    if (group.comparison) {
+      // Nest the file's report under its own heading
+      const report = generateMarkdownReport(group.comparison.files.map((file) => file.path), group.comparison, options)
+        .replace(/^# .*\n\n/, "")
+        .replace(/^(#{2,}) /gm, "#$1 ");
+      markdown += `\n## ${escapeMarkdown(group.name)}\n\n${report}`;
+    }
+  });
+
+  return markdown;
+}
+
+/**
+ * Prints the console report of a directory comparison: an index of all files,
+ * then the comparison of each file found in two or more directories.
+ * @param {Object} directoryData - The output from compareDirectories function.
+ * @param {Object} [options] - Report options (see compareFiles).
+ */
+function printDirectoryReport(directoryData, options = {}) {
+  const { directories, groups } = directoryData;
+  console.log("Comparing directories:\n");
+  directories.forEach((dir, idx) => {
+    console.log(`Directory ${idx + 1}: ${dir.label} (${dir.path})`);
+  });
 
-  // Add table rows for each key
-  mismatchDetails.forEach(({ key, values, matched }) => {
-    html += `\n    <tr class="${matched ? "matched" : "mismatch"}">
-      <td>${key}</td>
-      <td>${matched ? "Yes" : "No"}</td>`;
+  console.log("\n=== Files ===");
+  groups.forEach((group) => {
+    const color = isDifferentGroup(group) ? chalk.red : chalk.green;
+    console.log(`${group.name}: ${color(describeDirectoryGroup(group, directories))}`);
+  });
 
-    // Add values from each file
-    values.forEach((value, idx) => {
-      const cellClass = matched ? "" : "value-mismatch";
-      html += `\n      <td class="${cellClass}">${value === "N/A" ? "<em>N/A</em>" : value
-        }</td>`;
-    });
+  groups.forEach((group) => {
+    if (group.comparison) {
+      console.log(chalk.bold(`\n##### ${group.name} #####\n`));
+      printComparisonReport(group.comparison.files, group.comparison, options);
+    }
+  });
+}
 
-    html += `\n    </tr>`;
+/**
+ * Builds the JSON report of a directory comparison (schema "directories" mode).
+ * @param {Object} directoryData - The output from compareDirectories function.
+ * @returns {Object} - The report object.
+ */
+function buildDirectoryJsonReport(directoryData) {
+  const { directories, groups, parseErrors } = directoryData;
+  const files = groups.map((group) => {
+    let status = "matched";
+    if (group.files.includes(null)) {
+      status = "incomplete";
+    } else if (group.comparison.mismatchCount > 0) {
+      status = "mismatched";
+    }
+    return {
+      name: group.name,
+      status,
+      paths: group.files,
+      missingIn: listMissingDirectories(group, directories),
+      report: group.comparison
+        ? buildJsonReport(group.comparison.files.map((file) => file.path), group.comparison)
+        : null,
+    };
   });
+  return {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    mode: "directories",
+    directories: directories.map((dir, index) => ({ index, path: dir.path, label: dir.label })),
+    files,
+    summary: {
+      totalFiles: files.length,
+      matchedFiles: files.filter((file) => file.status === "matched").length,
+      mismatchedFiles: files.filter((file) => file.status === "mismatched").length,
+      incompleteFiles: files.filter((file) => file.status === "incomplete").length,
+      parseErrors: parseErrors.length,
+    },
+    expiredAllowlistEntries: directoryData.expiredAllowlistEntries ?? [],
+    parseErrors: parseErrors.map(({ file, message }) => ({ file, message })),
+  };
+}
 
-  html += `\n  </table>
+/**
+ * Version of the JSON report schema. Bump it on any incompatible change to
+ * the shape produced by buildJsonReport.
+ */
+const JSON_SCHEMA_VERSION = 1;
 
-  <div class="summary ${mismatchCount === 0 ? "success" : "error"}">
-    <h2>Summary</h2>`;
+/**
+ * JSON report view of a compared file.
+ * @param {{ path: string, label: string, layers?: string[] }} file - A compared file.
+ * @param {number} idx - Its column index.
+ * @returns {Object} - `{ index, path, label, layers }`.
+ */
+function toJsonFile(file, idx) {
+  return { index: idx, path: file.path, label: file.label, layers: file.layers ?? null };
+}
 
-  if (mismatchCount === 0) {
-    html += `\n    <p>All properties match across all files!</p>`;
-  } else {
-    html += `\n    <p>${mismatchCount} key(s) have mismatched values.</p>
-    <p><strong>Mismatched keys:</strong> ${mismatchDetails
-        .filter((detail) => !detail.matched)
-        .map((detail) => detail.key)
-        .join(", ")}</p>`;
+/**
+ * JSON report view of a key location.
+ * @param {Object|null} location - A key location.
+ * @returns {{ file: string, line: number, column: number } | null} - The location.
+ */
+function toJsonLocation(location) {
+  return location ? { file: location.file, line: location.line, column: location.column } : null;
+}
+
+/**
+ * Builds the JSON report of a baseline comparison (schema "baseline" mode).
+ * @param {Object} baselineData - The output from compareWithBaseline function.
+ * @returns {Object} - The report object.
+ */
+function buildBaselineJsonReport(baselineData) {
+  const { baseline, targets, parseErrors, ignoredKeys } = baselineData;
+  const toJsonEntry = (entry) => ({
+    key: entry.key,
+    baselineValue: entry.baselineValue,
+    value: entry.value,
+    baselineLocation: toJsonLocation(entry.baselineLocation),
+    location: toJsonLocation(entry.location),
+    accepted: entry.accepted ?? null,
+    masked: Boolean(entry.masked),
+  });
+
+  return {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    mode: "baseline",
+    baseline: toJsonFile(baseline, 0),
+    targets: targets.map((target, idx) => ({
+      file: toJsonFile(target.file, idx + 1),
+      added: target.added.map(toJsonEntry),
+      removed: target.removed.map(toJsonEntry),
+      changed: target.changed.map(toJsonEntry),
+      summary: {
+        added: target.added.length,
+        removed: target.removed.length,
+        changed: target.changed.length,
+        unchanged: target.unchangedCount,
+      },
+    })),
+    ignoredKeys,
+    expiredAllowlistEntries: baselineData.expiredAllowlistEntries ?? [],
+    parseErrors: parseErrors.map(({ file, message }) => ({ file, message })),
+  };
+}
+
+/**
+ * Builds the JSON report: a stable, documented view of the comparison data
+ * (see "JSON Report Schema" in DOCUMENTATION.md) that does not follow changes
+ * to the internal mismatchDetails shape.
+ * @param {string[]} filePaths - Array of file paths that were compared.
+ * @param {Object} comparisonData - The output from compareFileData function.
+ * @returns {Object} - The report object.
+ */
+function buildJsonReport(filePaths, comparisonData) {
+  if (comparisonData.targets) {
+    return buildBaselineJsonReport(comparisonData);
+  }
+  if (comparisonData.groups) {
+    return buildDirectoryJsonReport(comparisonData);
   }
+  const { mismatchDetails, parseErrors = [], ignoredKeys = [] } = comparisonData;
+  const files = getReportFiles(filePaths, comparisonData).map(toJsonFile);
 
-  html += `\n  </div>
-</body>
-</html>`;
+  const getStatus = (detail) => {
+    if (detail.matched) {
+      return "matched";
+    }
+    return detail.accepted ? "accepted" : "mismatched";
+  };
+  const keys = mismatchDetails.map((detail) => ({
+    key: detail.key,
+    status: getStatus(detail),
+    accepted: detail.accepted ?? null,
+    masked: Boolean(detail.masked),
+    issues: detail.issues.map((issue) =>
+      issue.fileIndex === undefined
+        ? { type: issue.type }
+        : { type: issue.type, fileIndex: issue.fileIndex }
+    ),
+    values: detail.values.map((value, idx) => {
+      const location = detail.locations?.[idx] ?? null;
+      return {
+        value,
+        rawValue: detail.rawValues?.[idx] ?? value,
+        type: detail.types?.[idx] ?? null,
+        location: toJsonLocation(location),
+        placeholderError: detail.placeholderErrors?.[idx] ?? null,
+      };
+    }),
+  }));
 
-  return html;
+  const issueCounts = Object.fromEntries(
+    Object.entries(groupKeysByIssue(mismatchDetails)).map(([type, issueKeys]) => [
+      type,
+      issueKeys.length,
+    ])
+  );
+
+  return {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    mode: "peers",
+    files,
+    keys,
+    summary: {
+      totalKeys: keys.length,
+      matchedKeys: keys.filter((entry) => entry.status === "matched").length,
+      mismatchedKeys: keys.filter((entry) => entry.status === "mismatched").length,
+      acceptedKeys: keys.filter((entry) => entry.status === "accepted").length,
+      issues: issueCounts,
+      ignoredKeys: ignoredKeys.length,
+      parseErrors: parseErrors.length,
+    },
+    ignoredKeys,
+    expiredAllowlistEntries: comparisonData.expiredAllowlistEntries ?? [],
+    parseErrors: parseErrors.map(({ file, message }) => ({ file, message })),
+  };
 }
 
 /**
- * Generates a Markdown report for the comparison results.
+ * Generates a JSON report for the comparison results.
  *
  * @param {Array} filePaths - Array of file paths that were compared
  * @param {Object} comparisonData - The output from compareFileData function
- * @returns {string} - Markdown document as string
+ * @param {Object} [options] - Secret masking options (see maskSecrets)
+ * @returns {string} - JSON document as string (see buildJsonReport)
  */
-function generateMarkdownReport(filePaths, comparisonData) {
-  const { mismatchCount, mismatchDetails } = comparisonData;
-  const fileNames = filePaths.map((fp) => path.basename(fp));
-
-  let markdown = `# Properties Comparison Report\n\n`;
+function generateJsonReport(filePaths, comparisonData, options = {}) {
+  return JSON.stringify(
+    buildJsonReport(filePaths, maskSecrets(comparisonData, options)),
+    null,
+    2
+  );
+}
 
-  // Files compared
-  markdown += `## Files Compared\n\n`;
-  filePaths.forEach((fp, idx) => {
-    markdown += `${idx + 1}. ${fileNames[idx]} (${fp})\n`;
+/**
+ * Prints the console report of a comparison: the compared files, a table of all
+ * keys, the mismatched rows highlighted and a summary.
+ * @param {{ path: string, label: string }[]} files - The compared columns.
+ * @param {Object} reportData - The (masked) output from compareFileData function.
+ * @param {Object} [options] - Report options (see compareFiles).
+ */
+function printComparisonReport(files, reportData, options = {}) {
+  console.log("Comparing properties/keys across files:\n");
+  files.forEach((file, idx) => {
+    console.log(`File ${idx + 1}: ${file.label} (${file.path})`);
   });
+  console.log("");
 
-  // Comparison results table
-  markdown += `\n## Comparison Results\n\n`;
+  // Prepare data for tabular output
+  const tableData = reportData.mismatchDetails.map(
+    ({ key, values, matched, accepted }) => {
+      const valueColumns = values.reduce((acc, value, idx) => {
+        acc[`File ${idx + 1}`] = displayValue(value);
+        return acc;
+      }, {});
+      let status = matched ? "Yes" : "No";
+      if (accepted) {
+        status = "Accepted";
+      }
+      return {
+        Key: key,
+        Matched: status,
+        ...valueColumns,
+      };
+    }
+  );
 
-  // Table header
-  markdown += `| Key | Matched | ${fileNames
-    .map((name, idx) => `File ${idx + 1}: ${name}`)
-    .join(" | ")} |\n`;
-  markdown += `| --- | --- | ${fileNames.map(() => "---").join(" | ")} |\n`;
+  // Print the table
+  console.table(tableData);
 
-  // Table content
-  mismatchDetails.forEach(({ key, values, matched }) => {
-    markdown += `| ${key} | ${matched ? "Yes" : "No"} | ${values
-      .map((v) => (v === "N/A" ? "*N/A*" : v))
-      .join(" | ")} |\n`;
+  // Custom print for mismatched rows
+  console.log("\n=== Highlighted Mismatched Rows ===");
+  reportData.mismatchDetails.forEach((detail) => {
+    const { key, values, matched, issues, locations = [], accepted } = detail;
+    if (!matched) {
+      const coloredValues = values.map((value, idx) => {
+        const location = formatLocation(locations[idx]);
+        const raw = getRawValue(detail, idx);
+        const diff = detail.masked ? null : getValueDiff(values[0], value, options);
+        let shown = chalk.red(`File ${idx + 1}: ${value}`);
+        if (diff && idx > 0) {
+          shown = chalk.red(`File ${idx + 1}: `) + renderConsoleDiff(diff);
+        } else if (value === null) {
+          shown = chalk.gray(`File ${idx + 1}: ${MISSING_LABEL}`);
+        } else if (value === "") {
+          shown = chalk.magenta(`File ${idx + 1}: ${EMPTY_LABEL}`);
+        }
+        if (raw !== null) {
+          shown += chalk.gray(` [raw: ${raw}]`);
+        }
+        return shown + (location ? chalk.gray(` (${location})`) : "");
+      });
+      console.log(
+        chalk.yellow(`Key: ${key}`),
+        "|",
+        coloredValues.join(" | "),
+        chalk.cyan(`[${describeIssues(issues)}]`),
+        ...(accepted ? [chalk.green(`accepted: ${accepted.reason}`)] : [])
+      );
+    }
   });
 
   // Summary
-  markdown += `\n## Summary\n\n`;
-  if (mismatchCount === 0) {
-    markdown += `✅ All properties match across all files!\n`;
+  console.log("\n=== Summary ===");
+  const acceptedDifferences = listAcceptedDifferences(reportData.mismatchDetails);
+  if (reportData.mismatchCount === 0 && acceptedDifferences.length === 0) {
+    console.log("All properties match across all files!");
+  } else if (reportData.mismatchCount === 0) {
+    console.log("No unexpected differences.");
   } else {
-    markdown += `❌ ${mismatchCount} key(s) have mismatched values.\n\n`;
-    markdown += `**Mismatched keys:** ${mismatchDetails
-      .filter((detail) => !detail.matched)
-      .map((detail) => detail.key)
-      .join(", ")}\n`;
+    console.log(
+      `${reportData.mismatchCount} key(s) have mismatched values.`
+    );
+    const mismatchedKeys = reportData.mismatchDetails
+      .filter(isOpenMismatch)
+      .map((detail) => detail.key);
+    console.log("Mismatched keys:", mismatchedKeys.join(", "));
+    Object.entries(groupKeysByIssue(reportData.mismatchDetails)).forEach(
+      ([type, keys]) => {
+        if (keys.length > 0) {
+          console.log(`${ISSUE_HEADINGS[type]}:`, keys.join(", "));
+        }
+      }
+    );
+  }
+  const placeholderErrors = listPlaceholderErrors(reportData.mismatchDetails);
+  if (placeholderErrors.length > 0) {
+    console.log("Unresolved placeholders:", placeholderErrors.join(", "));
+  }
+  if (acceptedDifferences.length > 0) {
+    console.log("Accepted differences:", acceptedDifferences.join(", "));
+  }
+  const expiredEntries = listExpiredEntries(reportData.expiredAllowlistEntries);
+  if (expiredEntries.length > 0) {
+    console.log(chalk.red("Expired allowlist entries:"), expiredEntries.join(", "));
+  }
+  if (reportData.ignoredKeys?.length > 0) {
+    console.log("Ignored keys:", reportData.ignoredKeys.join(", "));
   }
-
-  return markdown;
 }
 
 /**
  * CLI function: compares properties/keys across multiple files,
  * prints details to the console in a tabular format, and provides a summary.
  *
- * @param {string[]} filePaths - Array of file paths.
+ * @param {string[]} filePaths - Array of file paths, or of directories to compare file by
+ *   file (see compareDirectories).
  * @param {Object} options - Options for the comparison.
- * @param {string} [options.format] - Output format ('console', 'html', or 'markdown').
- * @param {string} [options.outputFile] - Path to save the report (for html and markdown).
+ * @param {string} [options.format] - Output format ('console', 'html', 'markdown' or 'json').
+ * @param {string} [options.outputFile] - Path to save the report (for html, markdown and json).
+ * @param {string|string[]} [options.normalize] - Value normalization steps (see compareFileData).
+ * @param {boolean} [options.typed] - Type-aware comparison (see compareFileData).
+ * @param {string} [options.lists] - List comparison mode: "index" or "set" (see compareFileData).
+ * @param {string|string[]} [options.profile] - Active Spring profile(s) (see compareFileData).
+ * @param {string} [options.yamlDocuments] - "merge" or "split" (see compareFileData).
+ * @param {boolean} [options.resolvePlaceholders] - Resolve `${...}` placeholders (see compareFileData).
+ * @param {Object} [options.env] - Values placeholders may refer to (see compareFileData).
+ * @param {boolean} [options.relaxedBinding] - Match `DB_HOST` to `db.host` (see compareFileData).
+ * @param {string} [options.baseline] - Compare each file against this baseline file
+ *   (see compareWithBaseline).
+ * @param {string|string[]} [options.include] - Only compare matching keys (see compareFileData).
+ * @param {string|string[]} [options.exclude] - Ignore matching keys (see compareFileData).
+ * @param {string} [options.allowlist] - Allowlist file of known differences (see loadAllowlist).
+ * @param {boolean} [options.showSecrets] - Do not mask the values of sensitive keys (see maskSecrets).
+ * @param {string|string[]} [options.sensitiveKeys] - Sensitive key patterns (see maskSecrets).
+ * @param {boolean} [options.diff] - `false` to show long mismatched values in full instead of as
+ *   a character-level diff against the first file (or the baseline).
+ * @param {string|string[]|Object} [options.nameMap] - Pair differently named files across
+ *   directories (see compareDirectories).
+ * @returns {Object} - The comparison data (see compareFileData, compareWithBaseline and
+ *   compareDirectories), e.g. for getExitCode.
  */
 function compareFiles(filePaths, options = {}) {
   const format = options.format || "console";
   const outputFile = options.outputFile;
 
-  const comparisonData = compareFileData(filePaths);
-
-  if (format === "console") {
-    console.log("Comparing properties/keys across files:\n");
-
-    // Prepare data for tabular output
-    const tableData = comparisonData.mismatchDetails.map(
-      ({ key, values, matched }) => {
-        const valueColumns = values.reduce((acc, value, idx) => {
-          acc[`File ${idx + 1}`] = value;
-          return acc;
-        }, {});
-        return {
-          Key: key,
-          Matched: matched ? "Yes" : "No",
-          ...valueColumns,
-        };
-      }
-    );
-
-    // Print the table
-    console.table(tableData);
+  const directoryCount = filePaths.filter(isDirectory).length;
+  if (directoryCount > 0 && directoryCount < filePaths.length) {
+    throw new Error("Cannot compare directories with files; pass only directories or only files");
+  }
+  if (directoryCount > 0 && options.baseline) {
+    throw new Error("Baseline mode cannot be combined with directories");
+  }
 
-    // Custom print for mismatched rows
-    console.log("\n=== Highlighted Mismatched Rows ===");
-    comparisonData.mismatchDetails.forEach(({ key, values, matched }) => {
-      if (!matched) {
-        const coloredValues = values.map((value, idx) =>
-          chalk.red(`File ${idx + 1}: ${value}`)
-        );
-        console.log(
-          chalk.yellow(`Key: ${key}`),
-          "|",
-          coloredValues.join(" | ")
-        );
-      }
-    });
+  let comparisonData;
+  if (directoryCount > 0) {
+    comparisonData = compareDirectories(filePaths, options);
+  } else if (options.baseline) {
+    comparisonData = compareWithBaseline(options.baseline, filePaths, options);
+  } else {
+    comparisonData = compareFileData(filePaths, options);
+  }
 
-    // Summary
-    console.log("\n=== Summary ===");
-    if (comparisonData.mismatchCount === 0) {
-      console.log("All properties match across all files!");
-    } else {
-      console.log(
-        `${comparisonData.mismatchCount} key(s) have mismatched values.`
-      );
-      const mismatchedKeys = comparisonData.mismatchDetails
-        .filter((detail) => !detail.matched)
-        .map((detail) => detail.key);
-      console.log("Mismatched keys:", mismatchedKeys.join(", "));
-    }
+  if (format === "console" && comparisonData.targets) {
+    printBaselineReport(maskSecrets(comparisonData, options), options);
+  } else if (format === "console" && comparisonData.groups) {
+    printDirectoryReport(maskSecrets(comparisonData, options), options);
+  } else if (format === "console") {
+    const reportData = maskSecrets(comparisonData, options);
+    printComparisonReport(getReportFiles(filePaths, reportData), reportData, options);
   } else if (format === "html") {
-    const htmlReport = generateHtmlReport(filePaths, comparisonData);
+    const htmlReport = generateHtmlReport(filePaths, comparisonData, options);
     if (outputFile) {
       fs.writeFileSync(outputFile, htmlReport);
       console.log(`HTML report saved to: ${outputFile}`);
@@ -402,19 +4409,29 @@ function compareFiles(filePaths, options = {}) {
       console.log(htmlReport);
     }
   } else if (format === "markdown") {
-    const markdownReport = generateMarkdownReport(filePaths, comparisonData);
+    const markdownReport = generateMarkdownReport(filePaths, comparisonData, options);
     if (outputFile) {
       fs.writeFileSync(outputFile, markdownReport);
       console.log(`Markdown report saved to: ${outputFile}`);
     } else {
       console.log(markdownReport);
     }
+  } else if (format === "json") {
+    const jsonReport = generateJsonReport(filePaths, comparisonData, options);
+    if (outputFile) {
+      fs.writeFileSync(outputFile, jsonReport);
+      console.log(`JSON report saved to: ${outputFile}`);
+    } else {
+      console.log(jsonReport);
+    }
   } else {
     console.error(
       `Unsupported format: ${format}. Using console output instead.`
     );
-    compareFiles(filePaths); // Fallback to console output
+    return compareFiles(filePaths, { ...options, format: "console" }); // Fallback to console output
   }
+
+  return comparisonData;
 }
 
 /**
@@ -425,19 +4442,98 @@ function printUsage() {
   console.error(
     "Usage: properties-comparator [options] file1 file2 [file3...]"
   );
+  console.error(
+    "  Each file may be a stack of layers, e.g. base.yml+prod.yml"
+  );
   console.error("Options:");
   console.error(
-    "  --format, -f <format>   Output format: console, html, or markdown"
+    "  --format, -f <format>   Output format: console, html, markdown, or json"
+  );
+  console.error(
+    "  --output, -o <file>     Output file for html, markdown or json reports"
+  );
+  console.error(
+    "  --normalize, -n <steps> Value normalization: exact, trim, collapse, ignore-case, nfc"
+  );
+  console.error(
+    "  --typed                 Compare booleans, numbers and null by type"
   );
   console.error(
-    "  --output, -o <file>     Output file for html or markdown reports"
+    "  --lists <mode>          Compare lists by index (default) or as sets"
+  );
+  console.error(
+    "  --profile, -p <names>   Active Spring profile(s) for multi-document YAML"
+  );
+  console.error(
+    "  --yaml-documents <mode> Merge (default) or split multi-document YAML files"
+  );
+  console.error(
+    "  --resolve-placeholders  Resolve ${...} placeholders within each file"
+  );
+  console.error(
+    "  --env <KEY=VALUE>       Value for placeholder resolution (repeatable)"
+  );
+  console.error(
+    "  --relaxed-binding       Match keys Spring-style, e.g. DB_HOST to db.host"
+  );
+  console.error(
+    "  --fail-on <mode>        Mismatches that fail the run: any (default), missing, value"
+  );
+  console.error(
+    "  --baseline <file>       Compare every file against this baseline file"
+  );
+  console.error(
+    "  --include <pattern>     Only compare keys matching a glob or /regex/ (repeatable)"
+  );
+  console.error(
+    "  --exclude <pattern>     Ignore keys matching a glob or /regex/ (repeatable)"
+  );
+  console.error(
+    "  --allowlist <file>      YAML/JSON file of accepted differences"
+  );
+  console.error(
+    "  --sensitive-keys <list> Key patterns whose values are masked (default: password,secret,token,key)"
+  );
+  console.error(
+    "  --show-secrets          Show the values of sensitive keys in reports"
+  );
+  console.error(
+    "  --no-diff               Show long mismatched values in full, without a diff"
+  );
+  console.error(
+    "  --name-map <pat=name>   Pair differently named files across directories (repeatable)"
+  );
+  console.error(
+    "  --stdin-format <format> Format of standard input, given as the file - (default: detected)"
+  );
+  console.error(
+    "Pass directories instead of files to compare every config file they contain"
+  );
+  console.error(
+    "Any file may be a git revision spec, e.g. main:config/app.yml or HEAD~3:config/app.yml, or - for stdin"
+  );
+  console.error(
+    "Files with other extensions are detected from their content; yaml:file, json:file or properties:file names the format"
+  );
+  console.error(
+    "Dotenv files (.env, .env.*, *.env) are read as KEY=value; use --relaxed-binding to match them to dotted keys"
+  );
+  console.error(
+    "Exit codes: 0 = identical, 1 = mismatches, 2 = usage or parse errors"
+  );
+  console.error(
+    "Usage: properties-comparator lint [--sensitive-keys <list>] [--stdin-format <format>] file1 [file2...]"
+  );
+  console.error(
+    "  Flags likely plaintext secrets; exit codes: 0 = none, 1 = found, 2 = errors"
   );
 }
 
 /**
  * Parses command-line arguments.
  * @param {string[]} args - Array of command-line arguments.
- * @returns {{ filePaths: string[], options: Object }} - Parsed paths and options.
+ * @returns {{ command: string, filePaths: string[], options: Object }} - The command
+ *   ("compare", or "lint" when the first argument is `lint`), parsed paths and options.
  */
 function parseArgs(args) {
   const options = {
@@ -445,8 +4541,9 @@ function parseArgs(args) {
     outputFile: null,
   };
   const filePaths = [];
+  const command = args[0] === "lint" ? "lint" : "compare";
 
-  let i = 0;
+  let i = command === "lint" ? 1 : 0;
   while (i < args.length) {
     if (args[i] === "--format" || args[i] === "-f") {
       if (i + 1 < args.length) {
@@ -462,58 +4559,203 @@ function parseArgs(args) {
       } else {
         i++;
       }
+    } else if (args[i] === "--profile" || args[i] === "-p") {
+      if (i + 1 < args.length) {
+        options.profile = args[i + 1];
+        i += 2;
+      } else {
+        i++;
+      }
+    } else if (args[i] === "--yaml-documents") {
+      if (i + 1 < args.length) {
+        options.yamlDocuments = args[i + 1].toLowerCase();
+        i += 2;
+      } else {
+        i++;
+      }
+    } else if (args[i] === "--lists") {
+      if (i + 1 < args.length) {
+        options.lists = args[i + 1].toLowerCase();
+        i += 2;
+      } else {
+        i++;
+      }
+    } else if (args[i] === "--typed") {
+      options.typed = true;
+      i++;
+    } else if (args[i] === "--include" || args[i] === "--exclude") {
+      if (i + 1 < args.length) {
+        const name = args[i].slice(2);
+        options[name] = [...(options[name] || []), args[i + 1]];
+        i += 2;
+      } else {
+        i++;
+      }
+    } else if (args[i] === "--stdin-format") {
+      if (i + 1 < args.length) {
+        options.stdinFormat = args[i + 1].toLowerCase();
+        i += 2;
+      } else {
+        i++;
+      }
+    } else if (args[i] === "--name-map") {
+      if (i + 1 < args.length) {
+        options.nameMap = [...(options.nameMap || []), args[i + 1]];
+        i += 2;
+      } else {
+        i++;
+      }
+    } else if (args[i] === "--no-diff") {
+      options.diff = false;
+      i++;
+    } else if (args[i] === "--show-secrets") {
+      options.showSecrets = true;
+      i++;
+    } else if (args[i] === "--sensitive-keys") {
+      if (i + 1 < args.length) {
+        options.sensitiveKeys = args[i + 1];
+        i += 2;
+      } else {
+        i++;
+      }
+    } else if (args[i] === "--allowlist") {
+      if (i + 1 < args.length) {
+        options.allowlist = path.resolve(args[i + 1]);
+        i += 2;
+      } else {
+        i++;
+      }
+    } else if (args[i] === "--baseline") {
+      if (i + 1 < args.length) {
+        options.baseline = resolveFileSpec(args[i + 1]);
+        i += 2;
+      } else {
+        i++;
+      }
+    } else if (args[i] === "--fail-on") {
+      if (i + 1 < args.length) {
+        options.failOn = args[i + 1].toLowerCase();
+        i += 2;
+      } else {
+        i++;
+      }
+    } else if (args[i] === "--resolve-placeholders") {
+      options.resolvePlaceholders = true;
+      i++;
+    } else if (args[i] === "--relaxed-binding") {
+      options.relaxedBinding = true;
+      i++;
+    } else if (args[i] === "--env") {
+      if (i + 1 < args.length) {
+        options.env = { ...options.env, ...parseEnvAssignments([args[i + 1]]) };
+        i += 2;
+      } else {
+        i++;
+      }
+    } else if (args[i] === "--normalize" || args[i] === "-n") {
+      if (i + 1 < args.length) {
+        options.normalize = args[i + 1];
+        i += 2;
+      } else {
+        i++;
+      }
     } else {
-      filePaths.push(path.resolve(args[i]));
+      filePaths.push(resolveFileSpec(args[i]));
       i++;
     }
   }
 
-  return { filePaths, options };
+  return { command, filePaths, options };
 }
 
 /**
  * CLI entry point for comparing .properties and .yml/.yaml files.
+ * Sets the exit code: 0 = identical, 1 = mismatches (see `--fail-on`),
+ * 2 = usage or parse errors. `lint` as the first argument scans for secrets instead.
  */
 function run() {
-  const { filePaths, options } = parseArgs(process.argv.slice(2));
+  const { command, filePaths, options } = parseArgs(process.argv.slice(2));
 
+  if (command === "lint") {
+    runLint(filePaths, options);
+    return;
+  }
   if (filePaths.length === 0) {
     printUsage();
-    process.exit(1);
-  } else if (filePaths.length === 1) {
+    process.exit(2);
+  } else if (filePaths.length === 1 && !options.baseline) {
     console.error("Please provide at least two file paths for comparison.");
-    process.exit(1);
+    process.exit(2);
+  }
+
+  const missing = [...(options.baseline ? [options.baseline] : []), ...filePaths]
+    .flatMap(getLayerPaths)
+    .map((fp) => splitFormatOverride(fp).path)
+    .filter((fp) => fp !== STDIN_PATH && !getGitSpec(fp) && !fs.existsSync(fp));
+  if (missing.length > 0) {
+    console.error(`The following file(s) do not exist: ${missing.join(", ")}`);
+    process.exit(2);
+  }
+
+  try {
+    const failOn = resolveFailOn(options.failOn);
+    const comparisonData = compareFiles(filePaths, options);
+    process.exitCode = getExitCode(comparisonData, failOn);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(2);
   }
+}
 
-  const missing = filePaths.filter((fp) => !fs.existsSync(fp));
+/**
+ * Runs the `lint` command: scans the files for hard-coded secrets and sets the exit code.
+ * @param {string[]} filePaths - Files to scan.
+ * @param {Object} options - Parsed options (see lintFiles).
+ */
+function runLint(filePaths, options) {
+  if (filePaths.length === 0) {
+    printUsage();
+    process.exit(2);
+  }
+  const missing = filePaths
+    .flatMap(getLayerPaths)
+    .map((fp) => splitFormatOverride(fp).path)
+    .filter((fp) => fp !== STDIN_PATH && !getGitSpec(fp) && !fs.existsSync(fp));
   if (missing.length > 0) {
     console.error(`The following file(s) do not exist: ${missing.join(", ")}`);
-    process.exit(1);
+    process.exit(2);
   }
 
-  compareFiles(filePaths, options);
+  try {
+    const lintData = lintFiles(filePaths, options);
+    printLintReport(lintData);
+    process.exitCode = getExitCode(lintData);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(2);
+  }
 }
 
 /**
  * API function to compare properties between two files.
  * @param {string} file1 - Path to the first file
  * @param {string} file2 - Path to the second file
- * @param {Object} options - Comparison options
+ * @param {Object} options - Comparison options (including `normalize`, see compareFileData)
  * @returns {Object} Comparison results in a structured format
  */
 function compareProperties(file1, file2, options = {}) {
   const filePaths = [file1, file2];
-  const comparisonData = compareFileData(filePaths);
+  const comparisonData = compareFileData(filePaths, options);
 
   // Process the output based on options
   if (options.output) {
     if (options.json) {
-      fs.writeFileSync(options.output, JSON.stringify(comparisonData, null, 2));
+      fs.writeFileSync(options.output, generateJsonReport(filePaths, comparisonData, options));
     } else {
       const format = path.extname(options.output).toLowerCase() === '.md' ? 'markdown' : 'html';
       const report = format === 'markdown'
-        ? generateMarkdownReport(filePaths, comparisonData)
-        : generateHtmlReport(filePaths, comparisonData);
+        ? generateMarkdownReport(filePaths, comparisonData, options)
+        : generateHtmlReport(filePaths, comparisonData, options);
       fs.writeFileSync(options.output, report);
     }
 
@@ -528,13 +4770,29 @@ function compareProperties(file1, file2, options = {}) {
 export {
   parsePropertiesFile,
   parseYamlFile,
+  parseYamlDocuments,
+  parseJsonFile,
+  parseDotenvFile,
   parseFile,
+  parseContent,
+  resolveFileSpec,
+  resolvePlaceholders,
+  parseEnvAssignments,
   compareFileData,
+  compareObjects,
+  compareWithBaseline,
+  compareDirectories,
+  loadAllowlist,
+  maskSecrets,
+  lintFiles,
+  printLintReport,
+  getExitCode,
   checkIfAllValuesMatch,
   getMismatchFields,
   compareFiles,
   generateHtmlReport,
   generateMarkdownReport,
+  generateJsonReport,
   compareProperties, // Add the new function to exports
 };
 